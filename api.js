@@ -0,0 +1,221 @@
+// api.js — optional local HTTP server: health and Prometheus metrics for the container,
+// plus a token-protected control API with a server-sent events feed for overlays and web panels
+import http from "http";
+import { timingSafeEqual } from "crypto";
+import {
+  client,
+  enqueue,
+  entryTitle,
+  healthStatus,
+  moveEntry,
+  pausePlayback,
+  playIfIdle,
+  playbackPosition,
+  playerEvents,
+  queues,
+  resolveQuery,
+  resumePlayback,
+  setLoopMode,
+  settingsFor,
+  skipTrack,
+  stopPlayback,
+} from "./bot.js";
+import { renderMetrics } from "./metrics.js";
+import { PlayerState } from "./guild-player.js";
+import { log } from "./log.js";
+
+const API_REQUESTER = { id: null, name: "Control API" };
+const MAX_BODY_BYTES = 64 * 1024;
+const SSE_KEEPALIVE_MS = 25 * 1000;
+
+function entryInfo(entry) {
+  return {
+    title: entryTitle(entry),
+    url: entry.url ?? null,
+    duration: entry.duration ?? null,
+    source: entry.source ?? entry.type ?? null,
+    thumbnail: entry.thumbnail ?? null,
+    requester: entry.requester?.name ?? null,
+    autoplay: Boolean(entry.autoplay),
+  };
+}
+
+// What GET /guilds/:id returns and what the event feed pushes; queue positions match /queue
+function guildState(guildId) {
+  const serverQueue = queues.get(guildId);
+  const song = serverQueue?.nowPlaying;
+  return {
+    guildId,
+    name: client.guilds.cache.get(guildId)?.name ?? null,
+    connected: Boolean(serverQueue?.connection),
+    nowPlaying: song ? { ...entryInfo(song), position: Math.floor(playbackPosition(serverQueue)) } : null,
+    state: serverQueue?.state ?? PlayerState.Idle,
+    paused: serverQueue?.state === PlayerState.Paused,
+    loop: serverQueue?.loop ?? settingsFor(guildId).loop,
+    autoplay: Boolean(serverQueue?.autoplay),
+    volume: serverQueue?.volume ?? settingsFor(guildId).volume,
+    queue: (serverQueue?.queue.slice(1) ?? []).map((entry, i) => ({ position: i + 1, ...entryInfo(entry) })),
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Bearer header for fetch clients; ?token= for EventSource, which can't set headers
+function authorized(req, url, token) {
+  const header = req.headers.authorization ?? "";
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token") ?? "");
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      if (!chunks.length) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (e) {
+        reject(new Error("Request body must be JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Same path as /play and /playnext, minus the Discord reply: the bot must already be in a voice channel
+async function enqueueQuery(guildId, body) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue?.connection || !serverQueue.textChannel) {
+    return [409, { error: "The bot isn't playing in this server; start it from Discord first." }];
+  }
+  if (typeof body.query !== "string" || !body.query.trim()) return [400, { error: "Missing query" }];
+
+  const resolved = await resolveQuery(body.query.trim(), API_REQUESTER, { allowSpotify: settingsFor(guildId).allowSpotify });
+  if (resolved.error) return [422, { error: resolved.error }];
+  const { accepted, note, playNext } = enqueue(guildId, resolved.entries, { playNext: Boolean(body.next) });
+  if (accepted.length === 0) return [422, { error: note ?? "Nothing to add." }];
+  log.info("API queued tracks", { guildId, count: accepted.length });
+  playIfIdle(guildId, serverQueue.textChannel);
+  return [200, { added: accepted.map(entryInfo), playNext, note: note ?? null }];
+}
+
+const actions = {
+  skip: (guildId) => skipTrack(guildId) || "Nothing is playing!",
+  pause: (guildId) => pausePlayback(guildId) || "Nothing is playing!",
+  resume: (guildId) => resumePlayback(guildId) || "Not paused!",
+  stop: (guildId) => stopPlayback(guildId) || "Nothing is playing!",
+  loop: (guildId, body) => setLoopMode(guildId, body.mode) || "Invalid mode: off, single, or queue.",
+  move: (guildId, body) => Boolean(moveEntry(guildId, Number(body.from), Number(body.to))) || "Positions out of range.",
+};
+
+async function handleGuildRequest(req, res, guildId, action) {
+  if (!client.guilds.cache.has(guildId)) return sendJson(res, 404, { error: "Unknown guild" });
+  if (!action && req.method === "GET") return sendJson(res, 200, guildState(guildId));
+  if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return sendJson(res, 400, { error: err.message });
+  }
+  if (action === "queue") {
+    const [status, result] = await enqueueQuery(guildId, body);
+    return sendJson(res, status, result);
+  }
+  if (!actions[action]) return sendJson(res, 404, { error: "Unknown action" });
+  if (!queues.has(guildId)) return sendJson(res, 409, { error: "Nothing is playing!" });
+  const result = actions[action](guildId, body);
+  if (result !== true) return sendJson(res, 409, { error: result });
+  log.info("API action", { guildId, action });
+  sendJson(res, 200, guildState(guildId));
+}
+
+// One "track" or "state" event per change, carrying the guild's full state; bursts are coalesced
+function openEventStream(req, res, guildFilter) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.write(": connected\n\n");
+
+  const pending = new Map(); // guildId → event name, "track" wins over "state"
+  const push = (event, guildId) => {
+    if (guildFilter && guildId !== guildFilter) return;
+    if (pending.size === 0) setImmediate(flush);
+    if (pending.get(guildId) !== "track") pending.set(guildId, event);
+  };
+  const flush = () => {
+    for (const [guildId, event] of pending) res.write(`event: ${event}\ndata: ${JSON.stringify(guildState(guildId))}\n\n`);
+    pending.clear();
+  };
+  const onTrack = (guildId) => push("track", guildId);
+  const onState = (guildId) => push("state", guildId);
+  playerEvents.on("track", onTrack);
+  playerEvents.on("state", onState);
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), SSE_KEEPALIVE_MS);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    playerEvents.off("track", onTrack);
+    playerEvents.off("state", onState);
+  });
+}
+
+async function handleRequest(req, res, token) {
+  const url = new URL(req.url, "http://localhost");
+
+  // Probes and scrapers don't carry the token
+  if (url.pathname === "/healthz" && req.method === "GET") {
+    const health = healthStatus();
+    return sendJson(res, health.ok ? 200 : 503, health);
+  }
+  if (url.pathname === "/metrics" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    return res.end(renderMetrics());
+  }
+
+  if (!token) return sendJson(res, 404, { error: "Not found" });
+  if (!authorized(req, url, token)) return sendJson(res, 401, { error: "Unauthorized" });
+
+  if (url.pathname === "/guilds" && req.method === "GET") {
+    return sendJson(res, 200, [...client.guilds.cache.keys()].map(guildState));
+  }
+  if (url.pathname === "/events" && req.method === "GET") {
+    return openEventStream(req, res, url.searchParams.get("guild"));
+  }
+  const match = url.pathname.match(/^\/guilds\/(\d+)(?:\/(\w+))?\/?$/);
+  if (match) return handleGuildRequest(req, res, match[1], match[2]);
+  sendJson(res, 404, { error: "Not found" });
+}
+
+// Off unless CONTROL_API_PORT is set; without CONTROL_API_TOKEN only /healthz and /metrics are served
+export function startControlApi() {
+  const port = Number(process.env.CONTROL_API_PORT);
+  if (!port) return null;
+  const token = process.env.CONTROL_API_TOKEN || null;
+  if (!token) log.warn("CONTROL_API_TOKEN is empty; serving only /healthz and /metrics");
+  const host = process.env.CONTROL_API_HOST || "127.0.0.1";
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, token).catch((err) => {
+      log.error("HTTP request failed", { path: req.url.split("?")[0], err });
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+      else res.end();
+    });
+  });
+  server.on("error", (err) => log.error("HTTP server error", { err }));
+  server.listen(port, host, () => log.info("HTTP server listening", { host, port, controlApi: Boolean(token) }));
+  return server;
+}
@@ -4,15 +4,24 @@ dotenv.config();
 
 import fs, { createReadStream, unlinkSync } from "fs";
 import path from "path";
+import { Readable, PassThrough } from "stream";
+import { createHash } from "crypto";
 import { spawn } from "child_process";
 import https from "https";
+import { EventEmitter } from "events";
 import {
   Client,
   GatewayIntentBits,
   Events,
   REST,
   Routes,
-  SlashCommandBuilder,
+  PermissionFlagsBits,
+  Status,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
 } from "discord.js";
 import {
   joinVoiceChannel,
@@ -20,9 +29,19 @@ import {
   createAudioResource,
   AudioPlayerStatus,
   demuxProbe,
+  entersState,
   StreamType,
+  VoiceConnectionStatus,
+  VoiceConnectionDisconnectReason,
 } from "@discordjs/voice";
 import SpotifyWebApi from "spotify-web-api-node";
+import { defaultFilters, buildFilterGraph, filterSpeed } from "./filters.js";
+import { commandModules, findCommand } from "./commands/index.js";
+import { interactionContext, messageContext, parsePrefixArgs } from "./commands/context.js";
+import { startControlApi } from "./api.js";
+import { log, trackFields } from "./log.js";
+import { counter, gauge, histogram } from "./metrics.js";
+import { GuildPlayer, PlayerState } from "./guild-player.js";
 
 // === ESM path setup ===
 import { fileURLToPath } from "url";
@@ -35,6 +54,8 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildVoiceStates,
     GatewayIntentBits.GuildMembers,
+    // Prefix commands need to read messages; leave PREFIX empty to run slash-only
+    ...(process.env.PREFIX ? [GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent] : []),
   ],
 });
 
@@ -44,7 +65,170 @@ const spotifyApi = new SpotifyWebApi({
 });
 
 const queues = new Map();
-const cookiesFile = "/home/container/cookies.txt";
+// "track" when a new track starts, "state" when anything else about a guild's playback changes
+const playerEvents = new EventEmitter();
+const cookiesFile = process.env.COOKIES_FILE || "/home/container/cookies.txt";
+
+// === Playback settings ===
+// "stream" pipes yt-dlp straight into the player, "download" keeps the old write-to-./temp path
+const playbackMode = process.env.PLAYBACK_MODE === "download" ? "download" : "stream";
+const transcodeStreams = process.env.STREAM_TRANSCODE === "1";
+const ffmpegPath = process.env.FFMPEG_PATH || "ffmpeg";
+const maxRetries = Math.max(1, Number(process.env.LOAD_RETRIES) || 3);
+
+// === Metrics (served on /metrics by api.js) ===
+const tracksPlayed = counter("melodisc_tracks_played_total", "Tracks that stopped playing, by whether they were skipped");
+const ytdlpSpawns = counter("melodisc_ytdlp_spawns_total", "yt-dlp processes started, by purpose");
+const ytdlpExits = counter("melodisc_ytdlp_exits_total", "yt-dlp processes that exited, by purpose and exit code");
+const ytdlpDuration = histogram(
+  "melodisc_ytdlp_duration_seconds",
+  "How long yt-dlp processes ran, by purpose",
+  [0.5, 1, 2.5, 5, 10, 30, 60, 300, 900]
+);
+const loadRetries = counter("melodisc_load_retries_total", "Track downloads or streams retried after a failure");
+const antiBotRejections = counter("melodisc_antibot_rejections_total", "yt-dlp runs refused by YouTube's anti-bot check");
+const spotifyErrors = counter("melodisc_spotify_api_errors_total", "Failed Spotify Web API requests, by operation");
+gauge("melodisc_voice_connections", "Guilds with an active voice connection", () =>
+  [...queues.values()].filter((serverQueue) => serverQueue.connection).length
+);
+gauge("melodisc_queue_length", "Entries in each guild's queue, the current one included", () =>
+  [...queues].map(([guildId, serverQueue]) => ({ labels: { guild: guildId }, value: serverQueue.queue.length }))
+);
+gauge("melodisc_temp_dir_bytes", "Bytes used by downloads in ./temp", () => directorySize(path.resolve("./temp")));
+
+// Healthy when the gateway session is up and yt-dlp can be run
+function healthStatus() {
+  let ytdlp = true;
+  try {
+    fs.accessSync(ytdlpPath, fs.constants.X_OK);
+  } catch (e) {
+    ytdlp = false;
+  }
+  const gateway = Status[client.ws.status] ?? String(client.ws.status);
+  return {
+    ok: client.ws.status === Status.Ready && ytdlp,
+    gateway,
+    ytdlp,
+    voiceConnections: [...queues.values()].filter((serverQueue) => serverQueue.connection).length,
+    uptime: Math.floor(process.uptime()),
+  };
+}
+
+// === Guild settings ===
+// Per-guild overrides live in GUILD_SETTINGS_FILE; anything not overridden falls back to these
+const guildSettingsFile = path.resolve(process.env.GUILD_SETTINGS_FILE || "./data/settings.json");
+const defaultSettings = {
+  volume: 100,
+  loop: "off",
+  announceChannelId: null, // null = wherever the last command ran
+  maxQueueLength: 0, // 0 = unlimited
+  maxTrackDuration: 0, // seconds, 0 = unlimited
+  maxUserEntries: 0, // upcoming entries per requester, 0 = unlimited
+  maxUserDuration: 0, // seconds of upcoming entries per requester, 0 = unlimited
+  fairQueue: false, // interleave requesters round-robin instead of appending
+  allowSpotify: true,
+  idleTimeout: Math.max(0, Number(process.env.IDLE_TIMEOUT_SECONDS ?? 300)), // seconds, 0 = never leave
+  djRole: process.env.DJ_ROLE?.trim() || null, // role id or name, null = everyone is a DJ
+  voteSkipPercent: Math.min(100, Math.max(1, Number(process.env.VOTE_SKIP_PERCENT) || 50)),
+  prefix: process.env.PREFIX || null, // null = prefix commands off
+};
+const guildSettings = readJsonFile(guildSettingsFile, {});
+
+function settingsFor(guildId) {
+  return { ...defaultSettings, ...guildSettings[guildId] };
+}
+
+// Stores overrides; a value of undefined drops the override and restores the default
+function updateSettings(guildId, changes) {
+  const current = { ...guildSettings[guildId] };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete current[key];
+    else current[key] = value;
+  }
+  if (Object.keys(current).length) guildSettings[guildId] = current;
+  else delete guildSettings[guildId];
+  writeJsonFile(guildSettingsFile, guildSettings);
+}
+
+function describeSettings(guildId) {
+  const settings = settingsFor(guildId);
+  const overridden = new Set(Object.keys(guildSettings[guildId] ?? {}));
+  const mark = (key) => (overridden.has(key) ? "" : " *(default)*");
+  const role = settings.djRole ? (/^\d+$/.test(settings.djRole) ? `<@&${settings.djRole}>` : settings.djRole) : "everyone";
+  return [
+    `**Default volume:** ${settings.volume}%${mark("volume")}`,
+    `**Default loop:** ${settings.loop}${mark("loop")}`,
+    `**Announcements:** ${settings.announceChannelId ? `<#${settings.announceChannelId}>` : "command channel"}${mark("announceChannelId")}`,
+    `**Max queue length:** ${settings.maxQueueLength || "unlimited"}${mark("maxQueueLength")}`,
+    `**Max track duration:** ${settings.maxTrackDuration ? formatDuration(settings.maxTrackDuration) : "unlimited"}${mark("maxTrackDuration")}`,
+    `**Max tracks per user:** ${settings.maxUserEntries || "unlimited"}${mark("maxUserEntries")}`,
+    `**Max queued time per user:** ${settings.maxUserDuration ? formatDuration(settings.maxUserDuration) : "unlimited"}${mark("maxUserDuration")}`,
+    `**Fair queue:** ${settings.fairQueue ? "on" : "off"}${mark("fairQueue")}`,
+    `**Spotify links:** ${settings.allowSpotify ? "allowed" : "blocked"}${mark("allowSpotify")}`,
+    `**Idle timeout:** ${settings.idleTimeout ? formatDuration(settings.idleTimeout) : "never"}${mark("idleTimeout")}`,
+    `**DJ role:** ${role}${mark("djRole")}`,
+    `**Vote-skip threshold:** ${settings.voteSkipPercent}%${mark("voteSkipPercent")}`,
+    `**Command prefix:** ${process.env.PREFIX ? `\`${settings.prefix}\`` : "disabled"}${mark("prefix")}`,
+  ].join("\n");
+}
+
+// The configured announcement channel if it still exists, otherwise the one a command came from
+function announcementChannel(guildId, fallback) {
+  const channelId = settingsFor(guildId).announceChannelId;
+  const channel = channelId ? client.channels.cache.get(channelId) : null;
+  return channel?.isTextBased() ? channel : fallback;
+}
+
+// Applies the guild's queue length, track duration and per-user limits to entries about to be queued
+function admitEntries(guildId, serverQueue, entries) {
+  const { maxQueueLength, maxTrackDuration, maxUserEntries, maxUserDuration } = settingsFor(guildId);
+  const fitting = maxTrackDuration
+    ? entries.filter((entry) => !entry.duration || entry.duration <= maxTrackDuration)
+    : entries;
+  const room = maxQueueLength ? Math.max(0, maxQueueLength - serverQueue.queue.length) : Infinity;
+
+  // What each requester already has waiting; the current entry no longer counts
+  const waiting = new Map(); // requester key → { entries, seconds }
+  const waitingFor = (entry) => {
+    const key = requesterKey(entry);
+    if (!waiting.has(key)) waiting.set(key, { entries: 0, seconds: 0 });
+    return waiting.get(key);
+  };
+  for (const entry of serverQueue.queue.slice(1)) {
+    const budget = waitingFor(entry);
+    budget.entries++;
+    budget.seconds += entry.duration ?? 0;
+  }
+
+  const accepted = [];
+  let overUserLimit = 0;
+  for (const entry of fitting) {
+    if (accepted.length >= room) break;
+    const budget = waitingFor(entry);
+    const seconds = entry.duration ?? 0;
+    if (requesterKey(entry) !== null && (
+      (maxUserEntries && budget.entries >= maxUserEntries) ||
+      (maxUserDuration && budget.seconds + seconds > maxUserDuration)
+    )) {
+      overUserLimit++;
+      continue;
+    }
+    budget.entries++;
+    budget.seconds += seconds;
+    accepted.push(entry);
+  }
+
+  const notes = [];
+  const tooLong = entries.length - fitting.length;
+  if (tooLong) notes.push(`skipped ${tooLong} track(s) longer than ${formatDuration(maxTrackDuration)}`);
+  if (overUserLimit) {
+    const limits = [maxUserEntries && `${maxUserEntries} tracks`, maxUserDuration && formatDuration(maxUserDuration)];
+    notes.push(`each person can have ${limits.filter(Boolean).join(" or ")} queued, ${overUserLimit} left out`);
+  }
+  const overflow = fitting.length - accepted.length - overUserLimit;
+  if (overflow) notes.push(`the queue is limited to ${maxQueueLength} entries, ${overflow} left out`);
+  return { accepted, note: notes.length ? `⚠️ ${notes.join("; ")}.` : null };
+}
 
 // === Resolve Spotify short links ===
 function resolveSpotifyLink(url) {
@@ -55,7 +239,7 @@ function resolveSpotifyLink(url) {
 
     const req = https.get(url, (res) => {
       if (res.headers.location) {
-        console.log(`Resolved short link: ${url} → ${res.headers.location}`);
+        log.debug("Resolved short link", { url, location: res.headers.location });
         resolve(res.headers.location);
       } else {
         resolve(url);
@@ -79,625 +263,2658 @@ const buildArgs = (baseArgs) => {
   return args;
 };
 
+// yt-dlp prints one JSON object per entry with --print "%(.{...})j"
+function parseJsonLines(output) {
+  return output
+    .split("\n")
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
 // === Extract metadata (for direct URLs) ===
-const extractMetadata = async (url) => {
-  console.log(`Extracting metadata for: ${url}`);
+// Full extraction through yt-dlp; works for any site it supports, and for sets/albums up to `limit` items
+const extractEntries = async (url, { limit = 1 } = {}) => {
+  log.debug("Extracting metadata", { url });
   return new Promise((resolve, reject) => {
     const baseArgs = [
       "--no-check-certificates",
       "--user-agent",
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
       "--print",
-      "%(title)s|%(webpage_url)s",
+      "%(.{title,webpage_url,duration,thumbnail,channel,uploader,extractor_key,playlist_title})j",
+      "--playlist-end",
+      String(limit),
       url,
     ];
     const args = buildArgs(baseArgs);
-    const process = spawn(ytdlpPath, args);
+    const process = spawnYtdlp(args, "metadata");
     let output = "";
     let stderr = "";
     process.stdout.on("data", (data) => (output += data.toString()));
     process.stderr.on("data", (data) => (stderr += data.toString()));
+    process.on("error", reject);
     process.on("close", (code) => {
-      if (code === 0 && output.trim()) {
-        const [title, webpageUrl] = output.trim().split("|");
-        resolve({ title: title.trim(), url: webpageUrl.trim() || url });
-      } else {
-        console.error(`Metadata extraction failed: code ${code}, stderr: ${stderr}`);
-        reject(new Error(`Metadata extraction failed: code ${code}`));
+      const infos = parseJsonLines(output);
+      if (infos.length === 0) {
+        log.error("Metadata extraction failed", { url, code, stderr: stderr.trim() });
+        return reject(new Error(`Metadata extraction failed: code ${code}`));
       }
+      resolve({
+        title: infos[0].playlist_title ?? null,
+        entries: infos.map((info) => ({
+          title: info.title?.trim() || url,
+          url: info.webpage_url || url,
+          duration: info.duration ?? null,
+          thumbnail: info.thumbnail ?? null,
+          channel: info.channel ?? info.uploader ?? null,
+          source: info.extractor_key?.toLowerCase() ?? "url",
+        })),
+      });
     });
   });
 };
 
-// === YouTube search fallback ===
-const fallbackSearch = async (searchQuery) => {
-  console.log(`Searching YouTube via yt-dlp for: ${searchQuery}`);
+const extractMetadata = async (url) => (await extractEntries(url)).entries[0];
+
+// Queue entry from a --flat-playlist line; null for private, deleted or malformed entries
+function flatEntry({ title, id, duration, channel }) {
+  if (!title || !/^[a-zA-Z0-9_-]{11}$/.test(id?.trim())) return null;
+  if (/^\[(Private|Deleted) video\]$/.test(title)) return null;
+  return {
+    title: title.trim(),
+    url: `https://www.youtube.com/watch?v=${id.trim()}`,
+    duration: duration ?? null,
+    thumbnail: `https://i.ytimg.com/vi/${id.trim()}/hqdefault.jpg`,
+    channel: channel ?? null,
+    source: "youtube",
+  };
+}
+
+// === YouTube search ===
+const ytdlpSearch = async (searchQuery, limit = 1, signal) => {
   return new Promise((resolve, reject) => {
-    const ytSearch = `ytsearch1:${searchQuery}`;
+    const ytSearch = `ytsearch${limit}:${searchQuery}`;
     const baseArgs = [
       "--flat-playlist",
       "--no-check-certificates",
       "--user-agent",
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
       "--print",
-      "%(title)s|%(id)s",
+      "%(.{title,id,duration,channel})j",
       "--playlist-end",
-      "1",
+      String(limit),
       ytSearch,
     ];
     const args = buildArgs(baseArgs);
-    const process = spawn(ytdlpPath, args);
+    const process = spawnYtdlp(args, "search");
+    signal?.addEventListener("abort", () => killProcesses([process]), { once: true });
     let output = "";
     let stderr = "";
     process.stdout.on("data", (data) => (output += data.toString()));
     process.stderr.on("data", (data) => (stderr += data.toString()));
+    process.on("error", reject);
     process.on("close", (code) => {
-      if (code === 0 && output.trim()) {
-        const [title, videoId] = output.trim().split("|");
-        if (title && /^[a-zA-Z0-9_-]{11}$/.test(videoId?.trim())) {
-          resolve({
-            title: title.trim(),
-            url: `https://www.youtube.com/watch?v=${videoId.trim()}`,
-          });
-        } else {
-          reject(new Error("No valid video results"));
-        }
-      } else {
-        console.error(`Search failed: code ${code}, stderr: ${stderr}`);
-        reject(new Error("Search failed"));
+      if (signal?.aborted) return reject(new Error("Search cancelled"));
+      if (code !== 0) {
+        log.error("Search failed", { query: searchQuery, code, stderr: stderr.trim() });
+        return reject(new Error("Search failed"));
       }
+      resolve(parseJsonLines(output).map(flatEntry).filter(Boolean));
     });
   });
 };
 
-// === Spotify playlist fetch ===
-async function getSpotifyPlaylistTracks(playlistId) {
-  let tracks = [];
-  let offset = 0;
-  const limit = 100;
+const fallbackSearch = async (searchQuery) => {
+  log.debug("Searching YouTube via yt-dlp", { query: searchQuery });
+  const [song] = await ytdlpSearch(searchQuery, 1);
+  if (!song) throw new Error("No valid video results");
+  return song;
+};
+
+// === YouTube / YouTube Music playlists ===
+function isYouTubePlaylistUrl(text) {
   try {
-    while (true) {
-      const response = await spotifyApi.getPlaylistTracks(playlistId, { limit, offset });
-      if (!response.body?.items) throw new Error("Invalid Spotify response");
-      tracks = tracks.concat(response.body.items.map((item) => item.track));
-      if (response.body.items.length < limit) break;
-      offset += limit;
-    }
-    return tracks;
-  } catch (error) {
-    console.error(`Error fetching playlist tracks: ${error.message}`);
-    throw error;
+    const url = new URL(text);
+    return /(^|\.)(youtube\.com|youtu\.be)$/.test(url.hostname) && url.searchParams.has("list");
+  } catch (e) {
+    return false;
   }
 }
 
-// === Utilities ===
-function wait(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Enumerates a playlist or mix without touching the individual videos; entries are resolved on play
+const getYouTubePlaylist = async (url, { start = 1, limit, onProgress } = {}) => {
+  log.info("Enumerating YouTube playlist", { url });
+  return new Promise((resolve, reject) => {
+    const baseArgs = [
+      "--flat-playlist",
+      "--no-check-certificates",
+      "--user-agent",
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+      "--print",
+      "%(.{title,id,duration,channel,playlist_title})j",
+      "--playlist-start",
+      String(start),
+      ...(limit ? ["--playlist-end", String(start + limit - 1)] : []),
+      url,
+    ];
+    const args = buildArgs(baseArgs);
+    const process = spawnYtdlp(args, "playlist");
+    const entries = [];
+    let title = null;
+    let pending = "";
+    let stderr = "";
+    process.stdout.on("data", (data) => {
+      const lines = (pending + data.toString()).split("\n");
+      pending = lines.pop();
+      for (const info of parseJsonLines(lines.join("\n"))) {
+        title ??= info.playlist_title;
+        const entry = flatEntry(info);
+        if (entry) entries.push(entry);
+      }
+      onProgress?.(entries.length);
+    });
+    process.stderr.on("data", (data) => (stderr += data.toString()));
+    process.on("error", reject);
+    process.on("close", (code) => {
+      for (const info of parseJsonLines(pending)) {
+        title ??= info.playlist_title;
+        const entry = flatEntry(info);
+        if (entry) entries.push(entry);
+      }
+      if (code !== 0 && entries.length === 0) {
+        log.error("Playlist enumeration failed", { url, code, stderr: stderr.trim() });
+        return reject(new Error(`Could not read playlist (yt-dlp exited with code ${code})`));
+      }
+      if (entries.length === 0) return reject(new Error("Playlist is empty or private"));
+      resolve({ entries, title: title ?? "YouTube playlist" });
+    });
+  });
+};
+
+// === Spotify collections ===
+const spotifyMarket = process.env.SPOTIFY_MARKET || "US";
+
+// Open/play links (with or without an intl-xx/ prefix) and spotify: URIs → { kind, id }
+function parseSpotifyUrl(text) {
+  const urlMatch = text.match(
+    /^(?:https?:\/\/)?(?:open|play)\.spotify\.com\/(?:intl-[a-z]{2}(?:-[a-z]{2})?\/)?(?:embed\/)?(track|album|artist|playlist)\/([a-zA-Z0-9]+)/i
+  );
+  const uriMatch = text.match(/^spotify:(?:user:[^:]+:)?(track|album|artist|playlist):([a-zA-Z0-9]+)$/i);
+  const match = urlMatch ?? uriMatch;
+  return match ? { kind: match[1].toLowerCase(), id: match[2] } : null;
 }
 
-function safeUnlink(p) {
+// Counts failures per operation for /metrics, then rethrows
+function spotifyRequest(operation, request) {
+  return request.catch((err) => {
+    spotifyErrors.inc({ operation });
+    throw err;
+  });
+}
+
+async function fetchAllPages(fetchPage, pageSize, max = Infinity) {
+  let items = [];
+  let offset = 0;
+  while (items.length < max) {
+    const response = await fetchPage({ limit: pageSize, offset });
+    if (!response.body?.items) throw new Error("Invalid Spotify response");
+    items = items.concat(response.body.items);
+    if (response.body.items.length < pageSize) break;
+    offset += pageSize;
+  }
+  return items.slice(0, max);
+}
+
+async function getSpotifyPlaylistTracks(playlistId, max) {
   try {
-    if (p && fs.existsSync(p)) unlinkSync(p);
-  } catch (e) {
-    console.warn("Failed to unlink:", p, e.message);
+    const items = await fetchAllPages((page) => spotifyRequest("getPlaylistTracks", spotifyApi.getPlaylistTracks(playlistId, page)), 100, max);
+    return items.map((item) => item.track);
+  } catch (error) {
+    log.error("Fetching Spotify playlist tracks failed", { playlistId, err: error });
+    throw error;
   }
 }
 
-// === Discord Events ===
-client.once(Events.ClientReady, () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  client.user.setActivity("Music!", { type: 2 });
-});
+async function getSpotifyAlbumTracks(albumId, max) {
+  try {
+    return await fetchAllPages((page) => spotifyRequest("getAlbumTracks", spotifyApi.getAlbumTracks(albumId, page)), 50, max);
+  } catch (error) {
+    log.error("Fetching Spotify album tracks failed", { albumId, err: error });
+    throw error;
+  }
+}
 
-client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+async function authorizeSpotify() {
+  const data = await spotifyRequest("clientCredentialsGrant", spotifyApi.clientCredentialsGrant());
+  spotifyApi.setAccessToken(data.body["access_token"]);
+}
 
-  const guildId = interaction.guild.id;
-  let serverQueue = queues.get(guildId);
-  if (!serverQueue) {
-    serverQueue = {
-      queue: [],
-      nowPlaying: null,
-      loop: "off",
-      connection: null,
-      player: null,
-      currentTempFile: null,
-    };
-    queues.set(guildId, serverQueue);
+// Fetches a Spotify collection as lazy entries plus its name and artwork for the reply
+async function spotifyCollection({ kind, id }, requester, { start = 1, limit } = {}) {
+  await authorizeSpotify();
+  const max = limit ? start - 1 + limit : undefined;
+  let tracks;
+  let info;
+  if (kind === "playlist") {
+    const { body } = await spotifyRequest("getPlaylist", spotifyApi.getPlaylist(id, { fields: "name,images,external_urls" }));
+    info = body;
+    tracks = await getSpotifyPlaylistTracks(id, max);
+  } else if (kind === "album") {
+    const { body } = await spotifyRequest("getAlbum", spotifyApi.getAlbum(id));
+    info = body;
+    // Album track objects don't carry the album, so give them its artwork
+    tracks = (await getSpotifyAlbumTracks(id, max)).map((track) => track && { ...track, album: body });
+  } else if (kind === "artist") {
+    const { body } = await spotifyRequest("getArtist", spotifyApi.getArtist(id));
+    info = { ...body, name: `${body.name} — Top Tracks` };
+    const { body: top } = await spotifyRequest("getArtistTopTracks", spotifyApi.getArtistTopTracks(id, spotifyMarket));
+    tracks = top.tracks.slice(0, max);
   }
+  const entries = tracks
+    .slice(start - 1)
+    .filter((track) => track && track.name && track.artists?.[0]?.name)
+    .map((track) => spotifyEntry(track, requester));
+  return {
+    entries,
+    isPlaylist: true,
+    collection: {
+      kind,
+      name: info.name,
+      url: info.external_urls?.spotify ?? null,
+      artwork: info.images?.[0]?.url ?? null,
+    },
+  };
+}
 
-  const commandName = interaction.commandName;
+// Deferred reply that shows progress while a big playlist loads, then becomes the result.
+// Edits are chained so a late progress update can't overwrite the final answer.
+function progressReply(interaction) {
+  let shown = false;
+  let done = false;
+  let lastUpdate = Date.now();
+  let edits = Promise.resolve();
+  return {
+    onProgress(count) {
+      if (done || Date.now() - lastUpdate < 2000) return;
+      lastUpdate = Date.now();
+      shown = true;
+      edits = edits
+        .then(() => interaction.editReply(`⏳ Loading playlist… ${count} tracks so far`))
+        .catch(() => {});
+    },
+    async send(payload) {
+      done = true;
+      await edits;
+      if (shown) {
+        return interaction.editReply(
+          typeof payload === "string" ? { content: payload, embeds: [] } : { content: "", ...payload }
+        );
+      }
+      return interaction.deferred ? interaction.followUp(payload) : interaction.reply(payload);
+    },
+  };
+}
 
-  if (commandName === "join") {
-    if (!interaction.member.voice.channel)
-      return interaction.reply("You are not in a voice channel!");
-    const connection = joinVoiceChannel({
-      channelId: interaction.member.voice.channel.id,
-      guildId,
-      adapterCreator: interaction.guild.voiceAdapterCreator,
-    });
-    serverQueue.connection = connection;
-    if (!serverQueue.player) {
-      const player = createAudioPlayer();
-      connection.subscribe(player);
-      serverQueue.player = player;
-      player.on("error", (err) => console.error("Audio player error:", err));
-    }
-    await interaction.reply(`Joined ${interaction.member.voice.channel.name}`);
-  } else if (commandName === "leave") {
-    if (serverQueue.connection) {
-      try { serverQueue.connection.destroy(); } catch (e) {}
-      queues.delete(guildId);
-      await interaction.reply("Left the voice channel");
-    } else {
-      await interaction.reply("I'm not in a voice channel!");
-    }
-  } else if (commandName === "play") {
-    if (!interaction.member.voice.channel)
-      return interaction.reply("You are not in a voice channel!");
-    if (!serverQueue.connection) {
-      const connection = joinVoiceChannel({
-        channelId: interaction.member.voice.channel.id,
-        guildId,
-        adapterCreator: interaction.guild.voiceAdapterCreator,
-      });
-      serverQueue.connection = connection;
-      const player = createAudioPlayer();
-      connection.subscribe(player);
-      serverQueue.player = player;
-      player.on("error", (err) => console.error("Player error:", err));
-    }
+// Reply for anything that queued a whole collection
+function collectionReply({ entries, collection }, { playNext = false } = {}) {
+  const destination = playNext ? "the front of the queue" : "queue";
+  const content = `✅ Added ${entries.length} tracks from ${collection?.kind ?? "playlist"} to ${destination}.`;
+  if (!collection) return { content };
+  const embed = new EmbedBuilder()
+    .setColor(0x1db954)
+    .setAuthor({ name: collection.kind[0].toUpperCase() + collection.kind.slice(1) })
+    .setTitle(collection.name.slice(0, 256))
+    .setDescription(content);
+  if (collection.url) embed.setURL(collection.url);
+  if (collection.artwork) embed.setThumbnail(collection.artwork);
+  return { embeds: [embed] };
+}
 
-    if (!interaction.replied && !interaction.deferred) {
-      await interaction.deferReply().catch(() => {});
-    }
+// === Source resolvers ===
+// Each resolver claims queries with match(query, options), turns them into entries with
+// resolve(query, options), and declares how its entries play: "ytdlp" (download or stream through
+// yt-dlp) or "http" (fetched directly). resolveQuery asks them in order and the first match wins.
+const resolvers = [];
 
-    let query = interaction.options.getString("query");
-    console.log(`Processing /play: ${query}`);
+function registerResolver(resolver) {
+  resolvers.push({ playback: "ytdlp", ...resolver });
+}
 
-    let actualQuery = query.toLowerCase().startsWith("url:") ? query.substring(4).trim() : query.trim();
+function playbackFor(entry) {
+  return resolvers.find((resolver) => resolver.name === entry.source)?.playback ?? "ytdlp";
+}
 
-    if (/^(https?:\/\/)?(spotify\.(link|app\.link))/.test(actualQuery)) {
-      actualQuery = await resolveSpotifyLink(actualQuery);
-    }
+// The one queue entry shape every resolver produces; lazy Spotify entries add type/artist on top
+function queueEntry({ title, url = null, duration = null, source, thumbnail = null, channel = null, ...extra }, requester) {
+  return { ...extra, title, url, duration, source, thumbnail, channel, requester };
+}
 
-    // Handle Spotify playlist in /play
-    const playlistMatch = actualQuery.match(/^https?:\/\/(?:open\.)?spotify\.com\/playlist\/([a-zA-Z0-9]+)/);
-    if (playlistMatch) {
-      const playlistId = playlistMatch[1];
-      try {
-        await spotifyApi.clientCredentialsGrant().then((data) =>
-          spotifyApi.setAccessToken(data.body["access_token"])
-        );
-        const tracks = await getSpotifyPlaylistTracks(playlistId);
-
-        let addedCount = 0;
-        for (const track of tracks) {
-          if (track && track.name && track.artists?.[0]?.name) {
-            serverQueue.queue.push({
-              type: 'spotify',
-              artist: track.artists[0].name,
-              title: track.name
-            });
-            addedCount++;
-          }
-        }
+function collectionResult(entries, { kind, name, url }) {
+  return {
+    entries,
+    isPlaylist: true,
+    collection: { kind, name, url, artwork: entries[0]?.thumbnail ?? null },
+  };
+}
 
-        const replyText = `✅ Added ${addedCount} tracks from playlist to queue.`;
-        interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
+const audioExtensions = /\.(mp3|ogg|oga|opus|flac|wav|m4a)$/i;
+
+registerResolver({
+  name: "attachment",
+  playback: "http",
+  match: (query, { attachment }) => Boolean(attachment),
+  async resolve(query, { attachment }) {
+    const isAudio = /^(audio|video)\//.test(attachment.contentType ?? "") || audioExtensions.test(attachment.name);
+    if (!isAudio) return { error: "That file doesn't look like audio." };
+    return {
+      entries: [{ title: attachment.name, url: attachment.url, duration: attachment.duration ?? null, source: "attachment" }],
+    };
+  },
+});
 
-        if (serverQueue.player?.state.status === AudioPlayerStatus.Idle) {
-          playSong(guildId, interaction.channel);
-        }
-        return;
-      } catch (error) {
-        console.error(`Playlist error: ${error.message}`);
-        const replyText = `Error: ${error.message}`;
-        interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
-        return;
-      }
-    }
+registerResolver({
+  name: "spotify",
+  match: (query) => /^(https?:\/\/)?(spotify\.(link|app\.link))/.test(query) || Boolean(parseSpotifyUrl(query)),
+  async resolve(query, { requester, start, limit, allowSpotify = true }) {
+    if (!allowSpotify) return { error: "Spotify links are disabled on this server." };
+    const spotifyRef = parseSpotifyUrl(parseSpotifyUrl(query) ? query : await resolveSpotifyLink(query));
+    if (!spotifyRef) return { error: "That Spotify link doesn't point to a track, album, playlist or artist." };
+    if (spotifyRef.kind !== "track") return spotifyCollection(spotifyRef, requester, { start, limit });
+
+    await authorizeSpotify();
+    const { body: track } = await spotifyRequest("getTrack", spotifyApi.getTrack(spotifyRef.id));
+    return { entries: [spotifyEntry(track, requester)] };
+  },
+});
 
-    // Handle single Spotify track
-    const trackMatch = actualQuery.match(/^https?:\/\/(?:open\.)?spotify\.com\/track\/([a-zA-Z0-9]+)/);
-    if (trackMatch) {
-      try {
-        await spotifyApi.clientCredentialsGrant().then((data) =>
-          spotifyApi.setAccessToken(data.body["access_token"])
-        );
-        const trackId = trackMatch[1];
-        const { body: track } = await spotifyApi.getTrack(trackId);
-        serverQueue.queue.push({
-          type: 'spotify',
-          artist: track.artists[0].name,
-          title: track.name
-        });
-      } catch (err) {
-        console.error("Spotify track error:", err);
-        const replyText = `Error fetching Spotify track: ${err.message}`;
-        interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
-        return;
-      }
-    } else if (/^https?:\/\//.test(actualQuery)) {
-      try {
-        const song = await extractMetadata(actualQuery);
-        serverQueue.queue.push(song);
-      } catch (err) {
-        console.error("Direct URL error:", err);
-        const replyText = `Error: ${err.message}`;
-        interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
-        return;
-      }
-    } else {
-      try {
-        const song = await fallbackSearch(actualQuery);
-        serverQueue.queue.push(song);
-      } catch (err) {
-        console.error("Search error:", err);
-        const replyText = `No results found for: ${actualQuery}`;
-        interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
-        return;
-      }
-    }
+registerResolver({
+  name: "youtube-playlist",
+  match: (query) => isYouTubePlaylistUrl(query),
+  async resolve(query, { start, limit, onProgress }) {
+    const playlist = await getYouTubePlaylist(query, { start, limit, onProgress });
+    return collectionResult(playlist.entries, { kind: "playlist", name: playlist.title, url: query });
+  },
+});
 
-    const replyText = `Added to queue: ${serverQueue.queue[serverQueue.queue.length - 1]?.title || 'song'}`;
-    interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
+registerResolver({
+  name: "soundcloud",
+  match: (query) => /^https?:\/\/((www|m|on)\.)?soundcloud\.com\//i.test(query),
+  async resolve(query, { limit }) {
+    const isSet = /\/sets\//.test(query);
+    const { title, entries } = await extractEntries(query, { limit: isSet ? limit ?? 100 : 1 });
+    const tracks = entries.map((entry) => ({ ...entry, source: "soundcloud" }));
+    if (!isSet) return { entries: tracks };
+    return collectionResult(tracks, { kind: "playlist", name: title ?? "SoundCloud set", url: query });
+  },
+});
 
-    if (serverQueue.player?.state.status === AudioPlayerStatus.Idle) {
-      playSong(guildId, interaction.channel);
-    }
-  } else if (commandName === "playlist") {
-    // ✅ Ensure user is in a voice channel
-    if (!interaction.member.voice.channel) {
-      return interaction.reply("You must be in a voice channel to use /playlist!");
+registerResolver({
+  name: "bandcamp",
+  match: (query) => /^https?:\/\/[\w-]+\.bandcamp\.com\/(track|album)\//i.test(query),
+  async resolve(query, { limit }) {
+    const isAlbum = /\/album\//.test(query);
+    const { title, entries } = await extractEntries(query, { limit: isAlbum ? limit ?? 100 : 1 });
+    const tracks = entries.map((entry) => ({ ...entry, source: "bandcamp" }));
+    if (!isAlbum) return { entries: tracks };
+    return collectionResult(tracks, { kind: "album", name: title ?? "Bandcamp album", url: query });
+  },
+});
+
+registerResolver({
+  name: "direct",
+  playback: "http",
+  match: (query) => {
+    try {
+      const url = new URL(query);
+      return /^https?:$/.test(url.protocol) && /\.(mp3|ogg|flac)$/i.test(url.pathname);
+    } catch (e) {
+      return false;
     }
+  },
+  async resolve(query) {
+    const response = await fetch(query, { method: "HEAD", signal: AbortSignal.timeout(5000) });
+    // Some file hosts refuse HEAD but serve GET fine
+    if (!response.ok && response.status !== 405) return { error: `Could not reach that file (HTTP ${response.status}).` };
+    const fileName = decodeURIComponent(path.basename(new URL(query).pathname));
+    return { entries: [{ title: fileName, url: query, source: "direct" }] };
+  },
+});
 
-    let url = interaction.options.getString("url").trim();
-    console.log(`Raw playlist URL: "${url}"`);
+registerResolver({
+  name: "url",
+  match: (query) => /^https?:\/\//.test(query),
+  async resolve(query) {
+    return { entries: [await extractMetadata(query)] };
+  },
+});
 
-    if (/^(https?:\/\/)?(spotify\.(link|app\.link))/.test(url)) {
-      url = await resolveSpotifyLink(url);
-      console.log(`Resolved to: "${url}"`);
+registerResolver({
+  name: "search",
+  match: () => true,
+  async resolve(query) {
+    try {
+      return { entries: [await fallbackSearch(query)] };
+    } catch (err) {
+      return { error: `No results found for: ${query}` };
     }
+  },
+});
 
-    const playlistMatch = url.match(/^https?:\/\/(?:open\.)?spotify\.com\/playlist\/([a-zA-Z0-9]+)/);
-    if (!playlistMatch) {
-      return interaction.reply("Provide a valid Spotify playlist URL.");
-    }
+// Turns a /play query (or attached file) into queue entries, or an error message to show the user
+async function resolveQuery(query, requester, options = {}) {
+  const actualQuery = query.toLowerCase().startsWith("url:") ? query.substring(4).trim() : query.trim();
+  const resolver = resolvers.find((candidate) => candidate.match(actualQuery, options));
+  try {
+    const result = await resolver.resolve(actualQuery, { ...options, requester });
+    if (result.error) return result;
+    return { ...result, entries: result.entries.map((entry) => queueEntry(entry, requester)) };
+  } catch (err) {
+    log.error("Resolver failed", { resolver: resolver.name, query, err });
+    return { error: `Error: ${err.message}` };
+  }
+}
 
-    const playlistId = playlistMatch[1];
+// Lazy queue entry; the guild player looks it up on YouTube when it comes up
+function spotifyEntry(track, requester) {
+  return queueEntry(
+    {
+      type: 'spotify',
+      spotifyId: track.id ?? null,
+      artist: track.artists[0].name,
+      artists: track.artists.map((artist) => artist.name),
+      title: track.name,
+      url: track.external_urls?.spotify ?? null,
+      duration: Math.round(track.duration_ms / 1000),
+      thumbnail: track.album?.images?.[0]?.url ?? null,
+      source: "spotify",
+    },
+    requester
+  );
+}
 
-    // ✅ Auto-join voice channel if needed
-    if (!serverQueue.connection) {
-      const connection = joinVoiceChannel({
-        channelId: interaction.member.voice.channel.id,
-        guildId,
-        adapterCreator: interaction.guild.voiceAdapterCreator,
-      });
-      serverQueue.connection = connection;
+async function resolveSpotifyEntry(entry, signal) {
+  const { match } = await matchSpotifyTrack(entry, signal);
+  return spotifyResolved(entry, match);
+}
 
-      if (!serverQueue.player) {
-        const player = createAudioPlayer();
-        connection.subscribe(player);
-        serverQueue.player = player;
-        player.on("error", (err) => console.error("Audio player error:", err));
-      }
-    }
+// Keep the Spotify names around, they are cleaner than video titles for lyrics and matching
+function spotifyResolved(entry, { score, ...match }) {
+  return {
+    ...queueEntry(match, entry.requester),
+    spotify: {
+      id: entry.spotifyId ?? null,
+      artist: entry.artist,
+      artists: entry.artists ?? [entry.artist],
+      title: entry.title,
+      duration: entry.duration,
+    },
+  };
+}
 
-    if (!interaction.replied && !interaction.deferred) {
-      await interaction.deferReply().catch(() => {});
-    }
+// === Spotify → YouTube matching ===
+// Several search hits are scored against the Spotify track; the ranking is kept per Spotify track id
+// so later plays skip the search and /wrongsong can step through the runners-up.
+const MATCH_CANDIDATES = 8;
+const spotifyMatchesFile = path.resolve(process.env.SPOTIFY_MATCHES_FILE || "./data/spotify-matches.json");
+const spotifyMatches = readJsonFile(spotifyMatchesFile, {}); // key → { match, candidates, rejected, corrected }
+const penaltyWords = ["cover", "live", "sped up", "slowed", "reverb", "nightcore", "8d", "karaoke", "instrumental", "remix", "acoustic", "lyrics", "lyric video"];
+
+// Works for lazy entries and for resolved ones (which carry a `spotify` block)
+function spotifyMatchKey(entry) {
+  const info = entry.spotify ?? entry;
+  const id = info.id ?? entry.spotifyId;
+  return id ? `spotify:${id}` : `${info.artist}:${info.title}`.toLowerCase();
+}
 
-    try {
-      await spotifyApi.clientCredentialsGrant().then((data) =>
-        spotifyApi.setAccessToken(data.body["access_token"])
-      );
-      const tracks = await getSpotifyPlaylistTracks(playlistId);
-
-      let addedCount = 0;
-      for (const track of tracks) {
-        if (track && track.name && track.artists?.[0]?.name) {
-          serverQueue.queue.push({
-            type: 'spotify',
-            artist: track.artists[0].name,
-            title: track.name
-          });
-          addedCount++;
-        }
-      }
+function matchTokens(text) {
+  return (text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
 
-      const replyText = `✅ Added ${addedCount} tracks from playlist to queue.`;
-      interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
+function containsPhrase(text, phrase) {
+  return ` ${matchTokens(text).join(" ")} `.includes(` ${matchTokens(phrase).join(" ")} `);
+}
 
-      // ✅ Start playback if idle
-      if (serverQueue.player?.state.status === AudioPlayerStatus.Idle) {
-        playSong(guildId, interaction.channel);
-      }
-    } catch (error) {
-      console.error(`Playlist error: ${error.message}`);
-      const replyText = `Error: ${error.message}`;
-      interaction.deferred ? await interaction.followUp(replyText) : await interaction.reply(replyText);
-    }
-  } else if (commandName === "loop") {
-    const mode = interaction.options.getString("mode");
-    if (!["off", "single", "queue"].includes(mode))
-      return interaction.reply("Invalid mode: off, single, or queue.");
-    serverQueue.loop = mode;
-    await interaction.reply(`Loop mode set to: ${mode}`);
-  } else if (commandName === "stop") {
-    if (serverQueue.player) {
-      serverQueue.player.stop();
-      serverQueue.queue = [];
-      serverQueue.nowPlaying = null;
-      await interaction.reply("Stopped playing and cleared the queue.");
-    } else {
-      await interaction.reply("Nothing is playing!");
-    }
-  } else if (commandName === "pause") {
-    if (serverQueue.player?.state.status === AudioPlayerStatus.Playing) {
-      serverQueue.player.pause();
-      await interaction.reply("Paused");
-    } else {
-      await interaction.reply("Nothing is playing!");
-    }
-  } else if (commandName === "resume") {
-    if (serverQueue.player?.state.status === AudioPlayerStatus.Paused) {
-      serverQueue.player.unpause();
-      await interaction.reply("Resumed");
-    } else {
-      await interaction.reply("Not paused!");
-    }
-  } else if (commandName === "skip") {
-    if (serverQueue.player) {
-      serverQueue.player.stop();
-      await interaction.reply("Skipped to next song");
-    } else {
-      await interaction.reply("Nothing is playing!");
-    }
-  } else if (commandName === "queue") {
-    if (serverQueue.queue.length === 0) {
-      const msg = serverQueue.nowPlaying
-        ? `Now Playing: ${serverQueue.nowPlaying.title}\nQueue is empty!`
-        : "Queue is empty!";
-      return interaction.reply(msg);
-    }
-    const now = serverQueue.nowPlaying ? `Now Playing: ${serverQueue.nowPlaying.title}\n\n` : "";
-    const list = serverQueue.queue.map((s, i) => `${i + 1}. ${s.title || `${s.artist} - ${s.title}`}`).join("\n");
-    await interaction.reply(`${now}Current queue:\n${list}`);
+// Higher is better; a clean "Artist - Topic" upload with the right length scores around 100
+function scoreCandidate(candidate, track) {
+  let score = 0;
+
+  if (!candidate.duration || !track.duration) score -= 10;
+  else {
+    const delta = Math.abs(candidate.duration - track.duration);
+    score += delta <= 2 ? 35 : delta <= 5 ? 25 : delta <= 10 ? 10 : delta <= 30 ? -10 : -40;
   }
-});
 
-// === Play Song — resolves Spotify tracks on-demand ===
-async function playSong(guildId, channel) {
-  console.log("▶️ playSong called for guild:", guildId); // debug log
+  const channel = candidate.channel ?? "";
+  const isTopic = / - Topic$/.test(channel);
+  const channelName = channel.replace(/ - Topic$/, "").replace(/VEVO$/i, "");
+  const artists = track.artists ?? [track.artist];
+  if (artists.some((artist) => containsPhrase(channelName, artist))) score += isTopic ? 35 : 20;
+  else if (artists.some((artist) => containsPhrase(candidate.title, artist))) score += 10;
 
-  const serverQueue = queues.get(guildId);
-  if (!serverQueue || serverQueue.queue.length === 0) {
-    try { serverQueue?.player?.stop(); } catch (e) {}
-    serverQueue.nowPlaying = null;
-    return channel.send("Queue is empty! Stopping playback.");
-  }
+  // Title words without "(feat. …)" and "- Remastered 2011" style suffixes
+  const wanted = matchTokens(track.title.replace(/\s*[([].*?[)\]]/g, "").replace(/\s+-\s+.*$/, ""));
+  const found = new Set(matchTokens(candidate.title));
+  if (wanted.length) score += Math.round((25 * wanted.filter((token) => found.has(token)).length) / wanted.length);
 
-  if (!serverQueue.player) {
-    console.error("No player for this server.");
-    return channel.send("Playback error: audio player missing.");
+  for (const word of penaltyWords) {
+    if (containsPhrase(candidate.title, word) && !containsPhrase(track.title, word)) score -= 25;
   }
+  return score;
+}
 
-  let song = serverQueue.queue[0];
+async function rankSpotifyCandidates(track, signal) {
+  const candidates = await ytdlpSearch(`${track.artist} ${track.title}`, MATCH_CANDIDATES, signal);
+  if (candidates.length === 0) throw new Error("No valid video results");
+  return candidates
+    .map((candidate) => ({ candidate, score: scoreCandidate(candidate, track) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ candidate, score }) => ({ ...candidate, score }));
+}
 
-  if (song.type === 'spotify') {
-    const searchQuery = `${song.artist} ${song.title}`;
-    try {
-      console.log(`🔍 Searching YouTube for: ${searchQuery}`);
-      const ytSong = await fallbackSearch(searchQuery);
-      serverQueue.queue[0] = ytSong;
-      song = ytSong;
-    } catch (err) {
-      console.error(`❌ Failed to find on YouTube: ${searchQuery}`);
-      await channel.send(`❌ Skipped: "${searchQuery}" (not found on YouTube)`);
-      serverQueue.queue.shift();
-      return playSong(guildId, channel);
-    }
-  }
+// The remembered match for a Spotify track, searching and scoring on first use
+async function matchSpotifyTrack(entry, signal) {
+  const key = spotifyMatchKey(entry);
+  const cached = spotifyMatches[key];
+  if (cached?.match) return cached;
+
+  const track = entry.spotify ?? entry;
+  const candidates = await rankSpotifyCandidates(track, signal);
+  const [best] = candidates;
+  log.info("Matched Spotify track", { spotify: `${track.artist} - ${track.title}`, ...trackFields(best), score: best.score });
+  spotifyMatches[key] = { match: best, candidates, rejected: [], corrected: false };
+  writeJsonFile(spotifyMatchesFile, spotifyMatches);
+  return spotifyMatches[key];
+}
 
-  serverQueue.nowPlaying = song;
+// Marks the current match as wrong and remembers the next-best candidate instead; null when none are left
+async function correctSpotifyMatch(entry) {
+  const key = spotifyMatchKey(entry);
+  const record = spotifyMatches[key] ?? (await matchSpotifyTrack(entry));
+  const rejected = new Set([...record.rejected, entry.url ?? record.match.url]);
+  let next = record.candidates.find((candidate) => !rejected.has(candidate.url));
+  if (!next) {
+    // Older records may not have kept their runners-up
+    record.candidates = await rankSpotifyCandidates(entry.spotify ?? entry);
+    next = record.candidates.find((candidate) => !rejected.has(candidate.url));
+  }
+  if (!next) return null;
+  spotifyMatches[key] = { ...record, match: next, rejected: [...rejected], corrected: true };
+  writeJsonFile(spotifyMatchesFile, spotifyMatches);
+  return { match: next, rank: record.candidates.indexOf(next) + 1, total: record.candidates.length };
+}
 
-  const tempDir = path.resolve("./temp");
-  if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
-  const tempFileBase = path.join(tempDir, `audio_${guildId}_${Date.now()}`);
-  const maxRetries = 3;
-  let retries = 0;
-  let actualTempFile = null;
+// === Utilities ===
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  console.log(`▶️ Attempting to download and play: ${song.title} (${song.url})`);
-  const hasCookies = fs.existsSync(cookiesFile);
-  console.log(`Using ${hasCookies ? "cookies" : "no cookies"}`);
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
 
-  while (retries < maxRetries) {
-    try {
-      const baseArgs = [
-        "-f", "bestaudio[ext=opus]/bestaudio",
-        "--audio-quality", "0",
-        "--no-playlist",
-        "--no-check-certificates",
-        "--user-agent", "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
-        "-o", `${tempFileBase}.%(ext)s`,
-        song.url,
-      ];
-      const args = buildArgs(baseArgs);
-      const process = spawn(ytdlpPath, args, { stdio: ["ignore", "pipe", "pipe"] });
-
-      let stderr = "";
-      process.stderr.on("data", (d) => {
-        const msg = d.toString();
-        stderr += msg;
-        if (!(msg.includes("Signature extraction failed") || msg.includes("SABR"))) {
-          console.error(`yt-dlp stderr: ${msg}`);
-        }
-      });
+// "90", "1:30" or "1:01:30" → seconds, null if it doesn't parse
+function parseTimestamp(text) {
+  const parts = text.trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
 
-      await new Promise((resolve, reject) => {
-        process.on("error", reject);
-        process.on("close", (code) => {
-          if (code !== 0) {
-            console.error(`Download failed: code ${code}, stderr: ${stderr}`);
-            if (stderr.includes("Sign in to confirm") || stderr.toLowerCase().includes("bot")) {
-              reject(new Error("Anti-bot restriction detected"));
-            } else {
-              reject(new Error(`yt-dlp exited with code ${code}`));
-            }
-          } else resolve();
-        });
-      });
+function progressBar(position, duration, size = 18) {
+  if (!duration) return `🔴 LIVE ${"▬".repeat(size - 1)}`;
+  const filled = Math.min(size - 1, Math.floor((position / duration) * size));
+  return `${"▬".repeat(filled)}🔘${"▬".repeat(size - filled - 1)}`;
+}
 
-      const dir = path.dirname(tempFileBase);
-      const files = fs.readdirSync(dir).filter((f) => f.startsWith(path.basename(tempFileBase)));
-      if (files.length === 0) throw new Error("No file downloaded");
-      actualTempFile = path.join(dir, files[0]);
+function entryTitle(entry) {
+  return entry.type === 'spotify' ? `${entry.artist} - ${entry.title}` : entry.title;
+}
 
-      const stats = fs.statSync(actualTempFile);
-      if (stats.size < 1024) throw new Error("Downloaded file too small");
+// Same track regardless of whether it has been looked up on YouTube yet
+function entryKey(entry) {
+  return entry.type === 'spotify'
+    ? `spotify:${entry.artist}:${entry.title}`.toLowerCase()
+    : entry.url;
+}
 
-      console.log(`📥 Downloaded to ${actualTempFile}, size: ${stats.size}`);
-      serverQueue.currentTempFile = actualTempFile;
-      break;
-    } catch (err) {
-      console.error(`Download attempt ${retries + 1} failed:`, err.message);
-      if (err.message.includes("Anti-bot restriction")) {
-        await channel.send(`🚫 Cannot play "${song.title}" due to YouTube restrictions. Skipping...`);
-        serverQueue.queue.shift();
-        serverQueue.nowPlaying = null;
-        safeUnlink(actualTempFile);
-        if (serverQueue.queue.length > 0) return playSong(guildId, channel);
-        return serverQueue.player.stop();
-      }
-      retries++;
-      if (retries >= maxRetries) {
-        await channel.send(`⚠️ Failed to download "${song.title}" after ${maxRetries} attempts. Skipping...`);
-        serverQueue.queue.shift();
-        serverQueue.nowPlaying = null;
-        safeUnlink(actualTempFile);
-        if (serverQueue.queue.length > 0) return playSong(guildId, channel);
-        return serverQueue.player.stop();
-      }
-      await wait(2000);
-    }
-  }
+// "3" or "3-7" → [start, end], null if it doesn't parse
+function parseRange(text) {
+  const match = text.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = Number(match[2] ?? match[1]);
+  return start <= end ? [start, end] : [end, start];
+}
 
-  // Play audio
-  let resource;
-  try {
-    let input = createReadStream(actualTempFile);
-    const { stream: probedStream, type } = await demuxProbe(input);
-    resource = createAudioResource(probedStream, { inputType: type });
-  } catch (probeErr) {
-    console.warn(`demuxProbe failed, falling back to Arbitrary: ${probeErr.message}`);
-    const input = createReadStream(actualTempFile);
-    resource = createAudioResource(input, { inputType: StreamType.Arbitrary });
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
   }
+  return items;
+}
 
-  serverQueue.player.play(resource);
-
-  // Event handlers
-  const onIdle = async () => {
-    const tempFile = serverQueue.currentTempFile;
-    serverQueue.currentTempFile = null;
-    safeUnlink(tempFile);
-
-    if (serverQueue.loop === "single") {
-      await channel.send(`🔂 Now playing: ${serverQueue.nowPlaying.title}`);
-      return playSong(guildId, channel);
-    } else if (serverQueue.loop === "queue") {
-      const currentSong = serverQueue.queue.shift();
-      serverQueue.nowPlaying = null;
-      serverQueue.queue.push(currentSong);
-      return playSong(guildId, channel);
-    } else {
-      serverQueue.queue.shift();
-      serverQueue.nowPlaying = null;
-      if (serverQueue.queue.length > 0) return playSong(guildId, channel);
-      serverQueue.player.stop();
-      return channel.send("Queue is empty! Stopping playback.");
-    }
+// Works for interactions and command contexts alike
+function requesterOf(source) {
+  return {
+    id: source.user.id,
+    name: source.member?.displayName ?? source.user.username,
   };
+}
 
-  const onError = async (err) => {
-    console.error("Player error:", err);
-    const tempFile = serverQueue.currentTempFile;
-    serverQueue.currentTempFile = null;
-    safeUnlink(tempFile);
-    await channel.send("An error occurred while playing the song. Skipping...");
-    if (serverQueue.loop !== "single") {
-      serverQueue.queue.shift();
-      serverQueue.nowPlaying = null;
-    }
-    await wait(500);
-    if (serverQueue.queue.length > 0) return playSong(guildId, channel);
-    serverQueue.player.stop();
-  };
+// Groups entries by who queued them; the control API and autoplay have a name but no user id
+function requesterKey(entry) {
+  return entry.requester?.id ?? entry.requester?.name ?? null;
+}
 
-  const stateChangeHandler = (oldState, newState) => {
-    if (newState.status === AudioPlayerStatus.Idle) {
-      serverQueue.player.removeListener("stateChange", stateChangeHandler);
-      onIdle().catch(console.error);
-    }
-  };
-  serverQueue.player.on("stateChange", stateChangeHandler);
+function requesterLabel(entry) {
+  if (entry.requester?.id) return `<@${entry.requester.id}>`;
+  return entry.requester?.name ?? "unknown";
+}
 
-  const errorHandler = (err) => {
-    serverQueue.player.removeListener("error", errorHandler);
-    onError(err).catch(console.error);
-  };
-  serverQueue.player.on("error", errorHandler);
+function safeUnlink(p) {
+  try {
+    if (p && fs.existsSync(p)) unlinkSync(p);
+  } catch (e) {
+    log.warn("Failed to unlink", { file: p, err: e });
+  }
 }
 
-// === Slash Commands ===
-const commands = [
-  new SlashCommandBuilder().setName("join").setDescription("Join the voice channel"),
-  new SlashCommandBuilder().setName("leave").setDescription("Leave the voice channel"),
-  new SlashCommandBuilder()
-    .setName("play")
-    .setDescription("Play a song (YouTube, Spotify track, or search)")
-    .addStringOption((option) =>
-      option.setName("query").setDescription("URL or search term").setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName("playlist")
-    .setDescription("Add a Spotify playlist")
-    .addStringOption((option) =>
-      option.setName("url").setDescription("Spotify playlist URL").setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName("loop")
-    .setDescription("Set loop mode")
-    .addStringOption((option) =>
-      option.setName("mode").setDescription("Loop mode").setRequired(true)
-      .addChoices(
-        { name: "off", value: "off" },
-        { name: "single", value: "single" },
-        { name: "queue", value: "queue" }
-      )
-    ),
-  new SlashCommandBuilder().setName("stop").setDescription("Stop playing"),
-  new SlashCommandBuilder().setName("pause").setDescription("Pause playback"),
-  new SlashCommandBuilder().setName("resume").setDescription("Resume playback"),
-  new SlashCommandBuilder().setName("skip").setDescription("Skip to next song"),
-  new SlashCommandBuilder().setName("queue").setDescription("Show current queue"),
-].map((cmd) => cmd.toJSON());
+// Total size of the files directly in `dir`, 0 when it doesn't exist
+function directorySize(dir) {
+  try {
+    return fs.readdirSync(dir).reduce((total, name) => {
+      try {
+        return total + fs.statSync(path.join(dir, name)).size;
+      } catch (e) {
+        return total; // removed while we were looking
+      }
+    }, 0);
+  } catch (e) {
+    return 0;
+  }
+}
 
-// === Deploy Commands ===
-const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_BOT_TOKEN);
-(async () => {
+// Small JSON stores under ./data: missing files read as `fallback`, writes go through a tmp file
+function readJsonFile(file, fallback) {
   try {
-    console.log("Started refreshing application (/) commands.");
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn("Could not read JSON store", { file, err: e });
+    return fallback;
+  }
+}
+
+function writeJsonFile(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+  } catch (e) {
+    log.error("Failed to save JSON store", { file, err: e });
+  }
+}
+
+function killProcesses(processes) {
+  for (const proc of processes) {
+    if (proc.exitCode === null && proc.signalCode === null) proc.kill();
+  }
+}
+
+function disposeTrack(track) {
+  if (!track) return;
+  killProcesses(track.processes);
+  track.stream?.destroy();
+  if (!track.cached) safeUnlink(track.tempFile);
+}
+
+// A prepared track can sit unused for a whole song; make sure its source is still there
+function isTrackUsable(track) {
+  if (track.tempFile) return fs.existsSync(track.tempFile);
+  if (track.stream?.destroyed) return false;
+  return track.processes.every(
+    (proc) => proc.signalCode === null && (proc.exitCode === null || proc.exitCode === 0)
+  );
+}
+
+function tempFileBaseFor(guildId) {
+  const tempDir = path.resolve("./temp");
+  if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
+  return path.join(tempDir, `audio_${guildId}_${Date.now()}`);
+}
+
+// Sweeps anything a guild left in ./temp (partial downloads, abandoned prefetches)
+function removeGuildTempFiles(guildId) {
+  const tempDir = path.resolve("./temp");
+  if (!fs.existsSync(tempDir)) return;
+  for (const name of fs.readdirSync(tempDir)) {
+    if (name.startsWith(`audio_${guildId}_`)) safeUnlink(path.join(tempDir, name));
+  }
+}
+
+// === yt-dlp process helpers ===
+// Every yt-dlp run goes through here so /metrics sees its count, duration and exit code
+function spawnYtdlp(args, purpose, options) {
+  const proc = spawn(ytdlpPath, args, options);
+  const startedAt = Date.now();
+  ytdlpSpawns.inc({ purpose });
+  proc.on("close", (code, signal) => {
+    ytdlpDuration.observe((Date.now() - startedAt) / 1000, { purpose });
+    ytdlpExits.inc({ purpose, code: code ?? signal });
+  });
+  return proc;
+}
+
+function collectStderr(proc, label = "yt-dlp") {
+  const output = { text: "" };
+  proc.stderr.on("data", (d) => {
+    const msg = d.toString();
+    output.text += msg;
+    if (!(msg.includes("Signature extraction failed") || msg.includes("SABR"))) {
+      log.warn(`${label} stderr`, { output: msg.trim() });
+    }
+  });
+  return output;
+}
+
+function ytdlpError(code, stderr) {
+  if (stderr.includes("Sign in to confirm") || stderr.toLowerCase().includes("bot")) {
+    antiBotRejections.inc();
+    return Object.assign(new Error("Anti-bot restriction detected"), { permanent: true }); // retrying won't help
+  }
+  return new Error(`yt-dlp exited with code ${code}`);
+}
+
+// === Audio cache: finished downloads kept on disk, keyed by video id ===
+const audioCacheDir = path.resolve(process.env.AUDIO_CACHE_DIR || "./cache");
+const audioCacheMaxBytes = Math.max(0, Number(process.env.AUDIO_CACHE_MAX_MB ?? 1024)) * 1024 * 1024; // 0 disables
+const audioCacheIndexFile = path.join(audioCacheDir, "index.json");
+// Only the cache writes in here, so the startup sweep can clear out what the index doesn't know
+const audioCacheFilesDir = path.join(audioCacheDir, "tracks");
+const audioCache = { entries: new Map(), pending: new Set(), hits: 0, misses: 0 }; // key → { file, size, lastUsed }
+let audioCacheSaveTimer = null;
+
+// YouTube video id, or a hash of the page URL for other yt-dlp sources; null when the entry can't be cached
+function cacheKeyFor(song) {
+  if (!audioCacheMaxBytes || !song.url || playbackFor(song) !== "ytdlp") return null;
+  const videoId = youtubeVideoId(song.url);
+  if (videoId && /^[\w-]{11}$/.test(videoId)) return videoId;
+  return `${song.source ?? "url"}-${createHash("sha1").update(song.url).digest("hex").slice(0, 16)}`;
+}
+
+function scheduleAudioCacheSave() {
+  if (audioCacheSaveTimer) return;
+  audioCacheSaveTimer = setTimeout(() => {
+    audioCacheSaveTimer = null;
+    writeJsonFile(audioCacheIndexFile, Object.fromEntries(audioCache.entries));
+  }, 2000);
+}
+
+function audioCacheUsage() {
+  let bytes = 0;
+  for (const entry of audioCache.entries.values()) bytes += entry.size;
+  return bytes;
+}
+
+function dropCacheEntry(key) {
+  const entry = audioCache.entries.get(key);
+  if (!entry) return;
+  audioCache.entries.delete(key);
+  safeUnlink(path.join(audioCacheFilesDir, entry.file));
+  scheduleAudioCacheSave();
+}
+
+// Files a guild is playing right now; eviction leaves these alone so seeks and filter restarts still work
+function cacheFilesInUse() {
+  const files = new Set();
+  for (const serverQueue of queues.values()) {
+    if (serverQueue.currentTrack?.cached) files.add(path.basename(serverQueue.currentTrack.tempFile));
+  }
+  return files;
+}
+
+// Least recently played first until the cache fits under AUDIO_CACHE_MAX_MB
+function evictAudioCache(maxBytes = audioCacheMaxBytes) {
+  let usage = audioCacheUsage();
+  if (usage <= maxBytes) return 0;
+  const inUse = cacheFilesInUse();
+  const oldestFirst = [...audioCache.entries].sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+  let evicted = 0;
+  for (const [key, entry] of oldestFirst) {
+    if (usage <= maxBytes) break;
+    if (inUse.has(entry.file)) continue;
+    dropCacheEntry(key);
+    usage -= entry.size;
+    evicted++;
+  }
+  if (evicted) log.info("Evicted cached tracks", { evicted, bytesInUse: usage });
+  return evicted;
+}
+
+// A cached copy of the entry as a ready-to-play track, or null on a miss or a failed integrity check
+function cachedTrack(key) {
+  const entry = key && audioCache.entries.get(key);
+  if (!entry) {
+    if (key) audioCache.misses++;
+    return null;
+  }
+  const file = path.join(audioCacheFilesDir, entry.file);
+  let size = -1;
+  try { size = fs.statSync(file).size; } catch (e) {}
+  if (size !== entry.size) {
+    log.warn("Cached file is missing or changed size, dropping it", { key });
+    dropCacheEntry(key);
+    audioCache.misses++;
+    return null;
+  }
+  entry.lastUsed = Date.now();
+  audioCache.hits++;
+  scheduleAudioCacheSave();
+  return { tempFile: file, stream: null, processes: [], cached: true };
+}
+
+// Moves a complete download into the cache under its key; returns the cached path, or null if it was rejected
+function commitCacheFile(key, file) {
+  let size = 0;
+  try { size = fs.statSync(file).size; } catch (e) {}
+  if (size < 1024) {
+    safeUnlink(file);
+    return null;
+  }
+  // Streamed copies have no meaningful extension; downloads keep yt-dlp's
+  const ext = path.extname(file) === ".part" ? ".audio" : path.extname(file);
+  const name = `${key}${ext}`;
+  const previous = audioCache.entries.get(key);
+  if (previous && previous.file !== name) safeUnlink(path.join(audioCacheFilesDir, previous.file));
+  fs.renameSync(file, path.join(audioCacheFilesDir, name));
+  audioCache.entries.set(key, { file: name, size, lastUsed: Date.now() });
+  scheduleAudioCacheSave();
+  evictAudioCache();
+  return path.join(audioCacheFilesDir, name);
+}
+
+// Copies a yt-dlp stream into the cache as it plays; only a stream that ran to a clean exit is kept
+function teeIntoCache(ytdlp, key) {
+  const partFile = path.join(audioCacheFilesDir, `${key}.${Date.now()}.part`);
+  const file = fs.createWriteStream(partFile);
+  const output = new PassThrough();
+  let failed = false;
+  file.on("error", (err) => {
+    failed = true;
+    log.warn("Could not write cache file", { file: partFile, err });
+  });
+  ytdlp.stdout.pipe(output);
+  ytdlp.stdout.pipe(file);
+
+  audioCache.pending.add(key);
+  Promise.all([
+    new Promise((resolve) => ytdlp.once("close", resolve)),
+    new Promise((resolve) => file.once("close", resolve)),
+  ]).then(([code]) => {
+    audioCache.pending.delete(key);
+    if (code === 0 && !failed) {
+      if (commitCacheFile(key, partFile)) log.debug("Cached track", { key });
+    } else {
+      safeUnlink(partFile);
+    }
+  });
+  return output;
+}
+
+// Startup: keep index entries whose files are intact, delete everything else in the tracks directory
+function loadAudioCache() {
+  if (!audioCacheMaxBytes) return;
+  fs.mkdirSync(audioCacheFilesDir, { recursive: true });
+  for (const [key, entry] of Object.entries(readJsonFile(audioCacheIndexFile, {}))) {
+    try {
+      if (fs.statSync(path.join(audioCacheFilesDir, entry.file)).size === entry.size) audioCache.entries.set(key, entry);
+    } catch (e) {}
+  }
+  const known = new Set([...audioCache.entries.values()].map((entry) => entry.file));
+  let orphans = 0;
+  for (const name of fs.readdirSync(audioCacheFilesDir)) {
+    if (known.has(name)) continue;
+    safeUnlink(path.join(audioCacheFilesDir, name));
+    orphans++;
+  }
+  evictAudioCache();
+  writeJsonFile(audioCacheIndexFile, Object.fromEntries(audioCache.entries));
+  log.info("Audio cache loaded", { tracks: audioCache.entries.size, bytes: audioCacheUsage(), orphansRemoved: orphans });
+}
+
+loadAudioCache();
+
+// === Download to ./temp (PLAYBACK_MODE=download) ===
+async function downloadTrack(song, tempFileBase, signal) {
+  const baseArgs = [
+    "-f", "bestaudio[ext=opus]/bestaudio",
+    "--audio-quality", "0",
+    "--no-playlist",
+    "--no-check-certificates",
+    "--user-agent", "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+    "-o", `${tempFileBase}.%(ext)s`,
+    song.url,
+  ];
+  const args = buildArgs(baseArgs);
+  const process = spawnYtdlp(args, "download", { stdio: ["ignore", "ignore", "pipe"] });
+  const stderr = collectStderr(process);
+  signal?.addEventListener("abort", () => killProcesses([process]), { once: true });
+
+  const dir = path.dirname(tempFileBase);
+  const downloadedFiles = () =>
+    fs.readdirSync(dir).filter((f) => f.startsWith(path.basename(tempFileBase)));
+
+  try {
+    await new Promise((resolve, reject) => {
+      process.on("error", reject);
+      process.on("close", (code) => {
+        if (code !== 0) {
+          log.error("Download failed", { ...trackFields(song), code });
+          reject(ytdlpError(code, stderr.text));
+        } else resolve();
+      });
+    });
+
+    const files = downloadedFiles();
+    if (files.length === 0) throw new Error("No file downloaded");
+    const tempFile = path.join(dir, files[0]);
+
+    const stats = fs.statSync(tempFile);
+    if (stats.size < 1024) throw new Error("Downloaded file too small");
+
+    log.debug("Downloaded track", { ...trackFields(song), file: tempFile, bytes: stats.size });
+    return { tempFile, stream: null, processes: [] };
+  } catch (err) {
+    for (const f of downloadedFiles()) safeUnlink(path.join(dir, f));
+    throw err;
+  }
+}
+
+// === Stream from yt-dlp stdout (PLAYBACK_MODE=stream) ===
+// Resolves once audio is flowing; if yt-dlp exits first its stderr decides the error
+function waitForAudio(output, ytdlp, stderr) {
+  return new Promise((resolve, reject) => {
+    let ended = false;
+    const cleanup = () => {
+      output.off("readable", onReadable);
+      ytdlp.off("close", onClose);
+      ytdlp.off("error", onError);
+    };
+    const onReadable = () => {
+      if (output.readableLength > 0) {
+        cleanup();
+        return resolve();
+      }
+      ended = true;
+      if (ytdlp.exitCode !== null || ytdlp.signalCode !== null) onClose(ytdlp.exitCode);
+    };
+    const onClose = (code) => {
+      if (code === 0 && !ended) return; // the transcoder may still be flushing
+      cleanup();
+      if (code === 0) return reject(new Error("No audio received"));
+      log.error("Stream failed", { code });
+      reject(ytdlpError(code, stderr.text));
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    output.on("readable", onReadable);
+    ytdlp.on("close", onClose);
+    ytdlp.on("error", onError);
+  });
+}
+
+async function streamTrack(song, signal, { cacheKey = null } = {}) {
+  const baseArgs = [
+    "-f", "bestaudio[acodec=opus]/bestaudio",
+    "--no-playlist",
+    "--no-check-certificates",
+    "--no-progress",
+    "--user-agent", "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
+    "-o", "-",
+    song.url,
+  ];
+  const args = buildArgs(baseArgs);
+  const ytdlp = spawnYtdlp(args, "stream", { stdio: ["ignore", "pipe", "pipe"] });
+  const stderr = collectStderr(ytdlp);
+  signal?.addEventListener("abort", () => killProcesses([ytdlp]), { once: true });
+  const output = cacheKey ? teeIntoCache(ytdlp, cacheKey) : ytdlp.stdout;
+
+  try {
+    await waitForAudio(output, ytdlp, stderr);
+  } catch (err) {
+    killProcesses([ytdlp]);
+    throw err;
+  }
+
+  log.debug("Streaming via yt-dlp", trackFields(song));
+  return { tempFile: null, stream: output, processes: [ytdlp] };
+}
+
+// Direct audio files and attachments: the HTTP body is the source, no yt-dlp involved
+async function httpTrack(song, signal) {
+  const response = await fetch(song.url, {
+    signal,
+    headers: { "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64)" },
+  });
+  if (!response.ok || !response.body) throw new Error(`HTTP ${response.status} while fetching audio`);
+  const stream = Readable.fromWeb(response.body);
+  stream.on("error", () => {}); // aborted when the track is released
+  log.debug("Streaming over HTTP", trackFields(song));
+  return { tempFile: null, stream, processes: [] };
+}
+
+// A fresh readable source for the entry, as its resolver plays it
+function streamSource(song, signal) {
+  return playbackFor(song) === "http" ? httpTrack(song, signal) : streamTrack(song, signal);
+}
+
+// === ffmpeg stage: seeking, filters and transcoding to raw PCM ===
+// `input` is a file path (seeks directly) or a readable stream (decodes up to the offset)
+function spawnTranscoder(input, { offset = 0, filterGraph = "" } = {}) {
+  const fromFile = typeof input === "string";
+  const args = ["-loglevel", "error"];
+  if (offset > 0 && fromFile) args.push("-ss", String(offset));
+  args.push("-i", fromFile ? input : "pipe:0");
+  // A pipe cannot seek, so trim in source time before any tempo-changing filters run
+  const graph = [offset > 0 && !fromFile && `atrim=start=${offset},asetpts=PTS-STARTPTS`, filterGraph]
+    .filter(Boolean)
+    .join(",");
+  if (graph) args.push("-af", graph);
+  args.push("-f", "s16le", "-ar", "48000", "-ac", "2", "pipe:1");
+
+  const ffmpeg = spawn(ffmpegPath, args, { stdio: [fromFile ? "ignore" : "pipe", "pipe", "pipe"] });
+  collectStderr(ffmpeg, "ffmpeg");
+  ffmpeg.on("error", (err) => log.error("ffmpeg error", { err }));
+  if (!fromFile) {
+    ffmpeg.stdin.on("error", () => {}); // EPIPE when ffmpeg is killed before its source
+    input.pipe(ffmpeg.stdin);
+  }
+  return ffmpeg;
+}
+
+// Cache hit → the cached file; otherwise download or stream, filling the cache on the way
+async function prepareTrack(song, guildId, signal) {
+  const cacheKey = cacheKeyFor(song);
+  const cached = cachedTrack(cacheKey);
+  if (cached) {
+    log.debug("Cache hit", { guildId, ...trackFields(song) });
+    return cached;
+  }
+  if (playbackMode === "download" && playbackFor(song) === "ytdlp") {
+    if (!cacheKey) return downloadTrack(song, tempFileBaseFor(guildId), signal);
+    const track = await downloadTrack(song, path.join(audioCacheFilesDir, `${cacheKey}.${Date.now()}`), signal);
+    const cachedFile = commitCacheFile(cacheKey, track.tempFile);
+    if (!cachedFile) throw new Error("Downloaded file too small");
+    return { ...track, tempFile: cachedFile, cached: true };
+  }
+  // Another guild may already be streaming this into the cache
+  const teeKey = cacheKey && !audioCache.pending.has(cacheKey) ? cacheKey : null;
+  return playbackFor(song) === "http" ? httpTrack(song, signal) : streamTrack(song, signal, { cacheKey: teeKey });
+}
+
+// === Prefetch the next entry while the current one plays ===
+function upcomingEntry(serverQueue) {
+  const { queue, loop } = serverQueue;
+  if (loop === "single" || serverQueue.jumped) return queue[0] ?? null;
+  if (loop === "queue") return queue[1] ?? queue[0] ?? null;
+  return queue[1] ?? null;
+}
+
+function cancelPrefetch(serverQueue) {
+  const prefetch = serverQueue.prefetch;
+  serverQueue.prefetch = null;
+  if (!prefetch) return;
+  prefetch.controller.abort();
+  prefetch.promise.then((result) => disposeTrack(result?.track));
+}
+
+// Starts preparing whatever plays after the current track, or drops a prefetch that is no longer next
+function refreshPrefetch(guildId) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue?.nowPlaying) return;
+  const entry = upcomingEntry(serverQueue);
+  if (serverQueue.prefetch?.entry === entry) return;
+  cancelPrefetch(serverQueue);
+  if (!entry) return;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  const promise = (async () => {
+    let song = entry;
+    if (entry.type === 'spotify') {
+      try {
+        song = await resolveSpotifyEntry(entry, signal);
+      } catch (err) {
+        return null; // the guild player reports it when the entry comes up
+      }
+    }
+    if (signal.aborted) return null;
+    try {
+      const track = await prepareTrack(song, guildId, signal);
+      if (signal.aborted) {
+        disposeTrack(track);
+        return { song, track: null };
+      }
+      return { song, track };
+    } catch (err) {
+      if (!signal.aborted) log.warn("Prefetch failed", { guildId, ...trackFields(song), err });
+      return { song, track: null };
+    }
+  })();
+
+  log.debug("Prefetching next entry", { guildId, ...trackFields(entry) });
+  serverQueue.prefetch = { entry, controller, promise };
+}
+
+// Hands over the prefetch if it was for this entry, otherwise throws it away.
+// Aborting `signal` while the prefetch is still running cancels it and hands over nothing.
+async function claimPrefetch(serverQueue, entry, signal) {
+  const prefetch = serverQueue.prefetch;
+  if (!prefetch) return null;
+  if (prefetch.entry !== entry) {
+    cancelPrefetch(serverQueue);
+    return null;
+  }
+  serverQueue.prefetch = null;
+  const onAbort = () => prefetch.controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const result = await prefetch.promise;
+  signal?.removeEventListener("abort", onAbort);
+  if (signal?.aborted) {
+    disposeTrack(result?.track);
+    return null;
+  }
+  if (result?.track && !isTrackUsable(result.track)) {
+    disposeTrack(result.track);
+    return { song: result.song, track: null };
+  }
+  return result;
+}
+
+async function openResource(track, offset, filterGraph) {
+  if (offset > 0 || filterGraph || (track.stream && transcodeStreams)) {
+    const ffmpeg = spawnTranscoder(track.tempFile ?? track.stream, { offset, filterGraph });
+    track.processes.push(ffmpeg);
+    return createAudioResource(ffmpeg.stdout, { inputType: StreamType.Raw, inlineVolume: true });
+  }
+  const input = track.stream ?? createReadStream(track.tempFile);
+  try {
+    const { stream: probedStream, type } = await demuxProbe(input);
+    return createAudioResource(probedStream, { inputType: type, inlineVolume: true });
+  } catch (probeErr) {
+    if (!track.tempFile) throw probeErr;
+    log.warn("demuxProbe failed, falling back to Arbitrary", { err: probeErr });
+    return createAudioResource(createReadStream(track.tempFile), {
+      inputType: StreamType.Arbitrary,
+      inlineVolume: true,
+    });
+  }
+}
+
+// Builds the player resource for a prepared track using the guild's volume and filters
+async function createTrackResource(serverQueue, track, offset = 0) {
+  const resource = await openResource(track, offset, buildFilterGraph(serverQueue.filters));
+  resource.volume.setVolume(serverQueue.volume / 100);
+  return resource;
+}
+
+// Swaps in a fresh resource for the current track at `position` seconds, e.g. after a filter change
+async function restartCurrentTrack(guildId, position) {
+  const serverQueue = queues.get(guildId);
+  const song = serverQueue?.nowPlaying;
+  const oldTrack = serverQueue?.currentTrack;
+  if (!song || !oldTrack) return false;
+
+  // A downloaded file can be reopened; a pipe has already been consumed, so stream it again
+  const track = oldTrack.tempFile
+    ? { tempFile: oldTrack.tempFile, stream: null, processes: [], cached: oldTrack.cached }
+    : await streamSource(song);
+  let resource;
+  try {
+    resource = await createTrackResource(serverQueue, track, position);
+  } catch (err) {
+    if (!oldTrack.tempFile) disposeTrack(track);
+    throw err;
+  }
+  if (serverQueue.nowPlaying !== song || serverQueue.currentTrack !== oldTrack) {
+    if (!oldTrack.tempFile) disposeTrack(track);
+    else killProcesses(track.processes);
+    return false;
+  }
+
+  const wasPaused = serverQueue.player.state.status === AudioPlayerStatus.Paused;
+  serverQueue.currentTrack = track;
+  serverQueue.playbackOffset = position;
+  serverQueue.playbackSpeed = filterSpeed(serverQueue.filters);
+  if (serverQueue.listening) {
+    serverQueue.listening.heardMs += serverQueue.listening.resource.playbackDuration;
+    serverQueue.listening.resource = resource;
+  }
+  serverQueue.player.play(resource);
+  killProcesses(oldTrack.processes);
+  if (wasPaused) {
+    entersState(serverQueue.player, AudioPlayerStatus.Playing, 10000)
+      .then(() => serverQueue.player.pause())
+      .catch(() => {});
+  }
+  return true;
+}
+
+// === Guild queues ===
+// How a GuildPlayer turns queue entries into audio; shared by every guild
+const playerDeps = {
+  createPlayer: createAudioPlayer,
+  async claim(entry, signal, serverQueue) {
+    const prefetched = await claimPrefetch(serverQueue, entry, signal);
+    if (prefetched?.track) {
+      log.info("Playing prefetched track", { guildId: serverQueue.guildId, ...trackFields(prefetched.song), mode: playbackMode });
+    }
+    return prefetched;
+  },
+  async resolve(entry, signal, { guildId }) {
+    if (entry.type !== "spotify") return entry;
+    log.debug("Looking up Spotify track on YouTube", { guildId, query: `${entry.artist} ${entry.title}` });
+    return resolveSpotifyEntry(entry, signal);
+  },
+  load(song, signal, { guildId }) {
+    log.info("Loading track", { guildId, ...trackFields(song), mode: playbackMode, cookies: fs.existsSync(cookiesFile) });
+    return prepareTrack(song, guildId, signal);
+  },
+  open: createTrackResource,
+  dispose: disposeTrack,
+  maxRetries,
+};
+
+const loadFailureNotices = {
+  resolve: (entry) => `❌ Skipped: "${entry.artist} ${entry.title}" (not found on YouTube)`,
+  blocked: (song) => `🚫 Cannot play "${song.title}" due to YouTube restrictions. Skipping...`,
+  retries: (song) => `⚠️ Failed to load "${song.title}" after ${maxRetries} attempts. Skipping...`,
+  resource: (song) => `⚠️ Could not play "${song.title}". Skipping...`,
+};
+
+function getServerQueue(guildId) {
+  let serverQueue = queues.get(guildId);
+  if (!serverQueue) {
+    const settings = settingsFor(guildId);
+    const player = new GuildPlayer(
+      guildId,
+      { ...playerDeps, cleanup: () => removeGuildTempFiles(guildId) },
+      { loop: settings.loop, volume: settings.volume, filters: defaultFilters() }
+    );
+    serverQueue = Object.assign(player, {
+      textChannel: null,
+      prefetch: null,
+      panelMessage: null,
+      panelUpdate: null,
+      lyricsFollower: null,
+      autoplay: false,
+      autoplayPending: false,
+      recent: [],
+      idleTimer: null,
+      aloneTimer: null,
+      alone: false,
+      pausedAlone: false,
+      reconnecting: false,
+      listening: null,
+    });
+    watchPlayer(guildId, serverQueue);
+    queues.set(guildId, serverQueue);
+  }
+  return serverQueue;
+}
+
+// Announcements, history, prefetching and the panel all follow the guild player's events
+function watchPlayer(guildId, serverQueue) {
+  serverQueue.on("state", (state) => {
+    if (state === PlayerState.Idle) armIdleTimer(guildId);
+    else clearIdleTimer(serverQueue);
+    playerEvents.emit("state", guildId);
+  });
+  serverQueue.on("trackStart", (song, { resource, repeat }) => {
+    serverQueue.playbackSpeed = filterSpeed(serverQueue.filters);
+    startListening(serverQueue, song, resource);
+    playerEvents.emit("track", guildId);
+    if (repeat) announce(serverQueue, `🔂 Now playing: ${song.title}`);
+    rememberPlayed(serverQueue, song);
+    refreshPrefetch(guildId);
+    scheduleQueueSave();
+    updatePanel(guildId);
+    topUpAutoplay(guildId).catch((err) => log.error("Autoplay top-up failed", { guildId, err }));
+  });
+  serverQueue.on("trackEnd", (song, { skipped }) => recordPlay(guildId, serverQueue, { skipped }));
+  serverQueue.on("trackError", (song, err) => {
+    log.error("Player error", { guildId, ...trackFields(song), err });
+    announce(serverQueue, "An error occurred while playing the song. Skipping...");
+  });
+  serverQueue.on("loadRetry", (song, attempt, err) => {
+    log.warn("Load attempt failed", { guildId, ...trackFields(song), attempt, err });
+    loadRetries.inc();
+  });
+  serverQueue.on("loadFailed", (entry, reason, err) => {
+    log.warn("Skipping track that failed to load", { guildId, ...trackFields(entry), reason, err });
+    announce(serverQueue, loadFailureNotices[reason](entry));
+    scheduleQueueSave();
+  });
+  serverQueue.on("queueEnd", () => {
+    scheduleQueueSave();
+    updatePanel(guildId);
+    announce(serverQueue, "Queue is empty! Stopping playback.");
+  });
+  serverQueue.on("error", (err) => log.error("Unhandled playback error", { guildId, err }));
+}
+
+function connectVoice(serverQueue, guild, channelId) {
+  const connection = joinVoiceChannel({
+    channelId,
+    guildId: guild.id,
+    adapterCreator: guild.voiceAdapterCreator,
+  });
+  // joinVoiceChannel hands back the existing connection when already connected
+  if (serverQueue.connection !== connection) watchConnection(guild.id, connection);
+  serverQueue.connection = connection;
+  if (!serverQueue.player) {
+    serverQueue.ensurePlayer();
+    armIdleTimer(guild.id);
+  }
+  connection.subscribe(serverQueue.player);
+  return connection;
+}
+
+// Seconds into the current track, counting from where its resource was started
+function playbackPosition(serverQueue) {
+  const resource = serverQueue.player?.state.resource;
+  if (!serverQueue.nowPlaying || !resource) return 0;
+  return serverQueue.playbackOffset + (resource.playbackDuration / 1000) * serverQueue.playbackSpeed;
+}
+
+function nowPlayingEmbed(serverQueue) {
+  const song = serverQueue.nowPlaying;
+  const position = playbackPosition(serverQueue);
+  const paused = serverQueue.state === PlayerState.Paused;
+  const total = song.duration ? formatDuration(song.duration) : "LIVE";
+  const embed = new EmbedBuilder()
+    .setColor(0x1db954)
+    .setAuthor({ name: paused ? "⏸️ Paused" : "🎶 Now Playing" })
+    .setTitle(song.title.slice(0, 256))
+    .setURL(song.url)
+    .setDescription(`${progressBar(position, song.duration)}\n\`${formatDuration(position)} / ${total}\``)
+    .addFields(
+      { name: "Requested by", value: requesterLabel(song), inline: true },
+      { name: "Loop", value: serverQueue.loop, inline: true },
+      { name: "Source", value: `[Open](${song.url})`, inline: true }
+    );
+  if (song.thumbnail) embed.setThumbnail(song.thumbnail);
+  return embed;
+}
+
+// === Voice connection lifecycle ===
+const aloneTimeoutMs = Math.max(0, Number(process.env.ALONE_TIMEOUT_SECONDS ?? 120)) * 1000; // 0 = never
+const MAX_REJOIN_ATTEMPTS = 5;
+
+function announce(serverQueue, text) {
+  serverQueue.textChannel?.send(text).catch(() => {});
+}
+
+// Tears down everything a guild holds: timers, child processes, temp files, the panel and the connection
+function leaveGuild(guildId, closingText = "👋 Left the voice channel.") {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue) return false;
+  queues.delete(guildId);
+  clearIdleTimer(serverQueue);
+  clearTimeout(serverQueue.aloneTimer);
+  serverQueue.lyricsFollower?.stop();
+  recordPlay(guildId, serverQueue, { skipped: true });
+  cancelPrefetch(serverQueue);
+  serverQueue.destroy();
+  scheduleQueueSave();
+  serverQueue.panelMessage?.edit({ content: closingText, embeds: [], components: [] }).catch(() => {});
+  playerEvents.emit("state", guildId);
+  return true;
+}
+
+// Leaves once the player has had nothing to do for the guild's idle timeout
+function armIdleTimer(guildId) {
+  const serverQueue = queues.get(guildId);
+  const idleTimeoutMs = settingsFor(guildId).idleTimeout * 1000;
+  if (!serverQueue || !idleTimeoutMs || serverQueue.idleTimer) return;
+  serverQueue.idleTimer = setTimeout(() => {
+    serverQueue.idleTimer = null;
+    if (queues.get(guildId) !== serverQueue || serverQueue.state !== PlayerState.Idle) return;
+    log.info("Idle timeout, leaving", { guildId });
+    announce(serverQueue, `💤 Nothing played for ${formatDuration(idleTimeoutMs / 1000)}, leaving the voice channel.`);
+    leaveGuild(guildId, "💤 Left the voice channel after being idle.");
+  }, idleTimeoutMs);
+}
+
+function clearIdleTimer(serverQueue) {
+  clearTimeout(serverQueue.idleTimer);
+  serverQueue.idleTimer = null;
+}
+
+// Pauses when the last listener leaves, resumes when someone comes back, leaves after ALONE_TIMEOUT_SECONDS
+function checkAlone(guild) {
+  const serverQueue = queues.get(guild.id);
+  const channel = guild.members.me?.voice.channel;
+  if (!serverQueue?.connection || !channel) return;
+
+  const alone = listenersIn(channel).size === 0;
+  if (alone === serverQueue.alone) return;
+  serverQueue.alone = alone;
+
+  if (alone) {
+    serverQueue.pausedAlone = pausePlayback(guild.id);
+    const leaving = aloneTimeoutMs ? ` Leaving in ${formatDuration(aloneTimeoutMs / 1000)} unless someone joins.` : "";
+    announce(serverQueue, `${serverQueue.pausedAlone ? "⏸️ Everyone left, pausing." : "👀 Everyone left."}${leaving}`);
+    if (aloneTimeoutMs) {
+      serverQueue.aloneTimer = setTimeout(() => {
+        if (queues.get(guild.id) !== serverQueue) return;
+        log.info("Alone timeout, leaving", { guildId: guild.id });
+        announce(serverQueue, "👋 Nobody came back, leaving the voice channel.");
+        leaveGuild(guild.id, "👋 Left the voice channel, nobody was listening.");
+      }, aloneTimeoutMs);
+    }
+  } else {
+    clearTimeout(serverQueue.aloneTimer);
+    serverQueue.aloneTimer = null;
+    if (serverQueue.pausedAlone && resumePlayback(guild.id)) announce(serverQueue, "▶️ Welcome back, resuming.");
+    serverQueue.pausedAlone = false;
+  }
+}
+
+// Rejoins after network drops and cleans up when the connection is gone for good
+function watchConnection(guildId, connection) {
+  connection.on(VoiceConnectionStatus.Disconnected, async (oldState, newState) => {
+    const serverQueue = queues.get(guildId);
+    if (serverQueue?.connection !== connection) return;
+
+    if (newState.reason === VoiceConnectionDisconnectReason.WebSocketClose && newState.closeCode === 4014) {
+      // Moved to another channel or kicked; a move reconnects by itself within a few seconds
+      try {
+        await entersState(connection, VoiceConnectionStatus.Connecting, 5000);
+      } catch {
+        announce(serverQueue, "👋 I was disconnected from the voice channel, clearing the queue.");
+        leaveGuild(guildId, "👋 Disconnected from the voice channel.");
+      }
+    } else if (connection.rejoinAttempts < MAX_REJOIN_ATTEMPTS) {
+      if (!serverQueue.reconnecting) announce(serverQueue, "📡 Lost the voice connection, reconnecting...");
+      serverQueue.reconnecting = true;
+      log.warn("Voice connection dropped, rejoining", { guildId, attempt: connection.rejoinAttempts + 1 });
+      await wait((connection.rejoinAttempts + 1) * 5000);
+      if (connection.state.status === VoiceConnectionStatus.Disconnected) connection.rejoin();
+    } else {
+      announce(serverQueue, `❌ Could not reconnect after ${MAX_REJOIN_ATTEMPTS} attempts, leaving the voice channel.`);
+      leaveGuild(guildId, "❌ Lost the voice connection.");
+    }
+  });
+
+  connection.on(VoiceConnectionStatus.Ready, () => {
+    const serverQueue = queues.get(guildId);
+    if (serverQueue?.connection !== connection || !serverQueue.reconnecting) return;
+    serverQueue.reconnecting = false;
+    announce(serverQueue, "✅ Reconnected to voice.");
+  });
+
+  connection.on(VoiceConnectionStatus.Destroyed, () => {
+    if (queues.get(guildId)?.connection === connection) leaveGuild(guildId);
+  });
+}
+
+// === Control panel and queue pages ===
+const QUEUE_PAGE_SIZE = 10;
+const loopCycle = { off: "single", single: "queue", queue: "off" };
+
+function controlRow(serverQueue) {
+  const paused = serverQueue.state === PlayerState.Paused;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("player:pause")
+      .setLabel(paused ? "▶️ Resume" : "⏸️ Pause")
+      .setStyle(paused ? ButtonStyle.Success : ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId("player:skip").setLabel("⏭️ Skip").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId("player:stop").setLabel("⏹️ Stop").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId("player:loop")
+      .setLabel(`🔁 Loop: ${serverQueue.loop}`)
+      .setStyle(serverQueue.loop === "off" ? ButtonStyle.Secondary : ButtonStyle.Success),
+    new ButtonBuilder().setCustomId("player:shuffle").setLabel("🔀 Shuffle").setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// The panel is one message per guild that gets edited as tracks change instead of re-posted
+function updatePanel(guildId, closingText = "⏹️ Playback finished.") {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue) return Promise.resolve();
+  playerEvents.emit("state", guildId);
+  serverQueue.panelUpdate = (serverQueue.panelUpdate ?? Promise.resolve())
+    .then(async () => {
+      const message = serverQueue.panelMessage;
+      if (!serverQueue.nowPlaying) {
+        serverQueue.panelMessage = null;
+        await message?.edit({ content: closingText, embeds: [], components: [] });
+        return;
+      }
+      const payload = { content: "", embeds: [nowPlayingEmbed(serverQueue)], components: [controlRow(serverQueue)] };
+      if (message) {
+        try {
+          await message.edit(payload);
+          return;
+        } catch (e) {
+          serverQueue.panelMessage = null; // deleted by someone, post a fresh one
+        }
+      }
+      if (serverQueue.textChannel) serverQueue.panelMessage = await serverQueue.textChannel.send(payload);
+    })
+    .catch((err) => log.warn("Control panel update failed", { guildId, err }));
+  return serverQueue.panelUpdate;
+}
+
+// Positions match what /remove, /move and /skipto take: queue[0] is playing, 1 is next
+function queuePage(serverQueue, page) {
+  const [current, ...upcoming] = serverQueue.queue;
+  const pages = Math.max(1, Math.ceil(upcoming.length / QUEUE_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+
+  const first = page * QUEUE_PAGE_SIZE;
+  const lines = upcoming.slice(first, first + QUEUE_PAGE_SIZE).map((entry, i) => {
+    const length = entry.duration ? ` \`${formatDuration(entry.duration)}\`` : "";
+    return `**${first + i + 1}.** ${entry.autoplay ? "📻 " : ""}${entryTitle(entry).slice(0, 90)}${length} · ${requesterLabel(entry)}`;
+  });
+  const totalSeconds = upcoming.reduce((total, entry) => total + (entry.duration ?? 0), 0);
+  const playing = serverQueue.nowPlaying ?? current;
+  const nowPlaying = current ? `${playing.autoplay ? "📻 " : ""}${entryTitle(playing)} · ${requesterLabel(playing)}` : "Nothing";
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1db954)
+    .setTitle("Queue")
+    .setDescription(`**Now Playing:** ${nowPlaying}\n\n${lines.join("\n") || "Nothing queued after this song."}`)
+    .setFooter({
+      text: `Page ${page + 1}/${pages} · ${upcoming.length} upcoming · ${formatDuration(totalSeconds)} · loop: ${serverQueue.loop}${serverQueue.autoplay ? " · 📻 autoplay" : ""}`,
+    });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`queue:page:${page - 1}`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`queue:page:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: pages > 1 ? [row] : [] };
+}
+
+// === Playback controls shared by commands and buttons ===
+function stopPlayback(guildId) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue?.stop()) return false;
+  cancelPrefetch(serverQueue);
+  scheduleQueueSave();
+  updatePanel(guildId, "⏹️ Stopped and cleared the queue.");
+  return true;
+}
+
+// Also works while the track is still resolving or loading
+function skipTrack(guildId) {
+  return Boolean(queues.get(guildId)?.skip());
+}
+
+function pausePlayback(guildId) {
+  if (!queues.get(guildId)?.pause()) return false;
+  updatePanel(guildId);
+  return true;
+}
+
+function resumePlayback(guildId) {
+  if (!queues.get(guildId)?.resume()) return false;
+  updatePanel(guildId);
+  return true;
+}
+
+function setLoopMode(guildId, mode) {
+  if (!Object.hasOwn(loopCycle, mode)) return false;
+  const serverQueue = queues.get(guildId);
+  serverQueue.loop = mode;
+  queueChanged(guildId);
+  updatePanel(guildId);
+  return true;
+}
+
+// Shuffles everything after the current entry; returns how many were shuffled
+function shuffleQueue(guildId) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue || serverQueue.queue.length < 3) return 0;
+  const [current, ...upcoming] = serverQueue.queue;
+  serverQueue.queue = [current, ...shuffleInPlace(upcoming)];
+  queueChanged(guildId);
+  return upcoming.length;
+}
+
+// Adds resolved entries within the guild's limits: right after the current entry, in the requester's
+// fair-queue turn, or at the end
+function enqueue(guildId, entries, { playNext = false } = {}) {
+  const serverQueue = queues.get(guildId);
+  const { accepted, note } = admitEntries(guildId, serverQueue, entries);
+  // queue[0] is the current entry, so "next" is position 1
+  playNext = playNext && serverQueue.queue.length > 0;
+  if (playNext) serverQueue.queue.splice(1, 0, ...accepted);
+  else if (settingsFor(guildId).fairQueue) accepted.forEach((entry) => insertFairly(serverQueue.queue, entry));
+  else serverQueue.queue.push(...accepted);
+  return { accepted, note, playNext };
+}
+
+// Round-robin by requester: someone's nth upcoming entry goes after everyone else's nth,
+// so one big playlist can't push the rest of the room to the back
+function insertFairly(queue, entry) {
+  const key = requesterKey(entry);
+  const round = queue.slice(1).filter((queued) => requesterKey(queued) === key).length + 1;
+  const seen = new Map(); // requester key → entries so far
+  let position = 1;
+  for (let i = 1; i < queue.length; i++) {
+    const queuedKey = requesterKey(queue[i]);
+    seen.set(queuedKey, (seen.get(queuedKey) ?? 0) + 1);
+    if (seen.get(queuedKey) <= round) position = i + 1;
+  }
+  queue.splice(position, 0, entry);
+}
+
+// Positions as shown by /queue; returns the moved entry, or null when either position is not a valid index
+function moveEntry(guildId, from, to) {
+  const serverQueue = queues.get(guildId);
+  const last = (serverQueue?.queue.length ?? 0) - 1;
+  if (!Number.isInteger(from) || !Number.isInteger(to)) return null;
+  if (from < 1 || to < 1 || from > last || to > last) return null;
+  const [entry] = serverQueue.queue.splice(from, 1);
+  serverQueue.queue.splice(to, 0, entry);
+  queueChanged(guildId);
+  return entry;
+}
+
+// Starts the guild player on freshly queued entries, or lets the running playback pick them up.
+// Requested tracks take over from autoplay picks that haven't started yet.
+function playIfIdle(guildId, channel) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue) return;
+  serverQueue.textChannel = announcementChannel(guildId, channel);
+  if (serverQueue.queue.length > 1) {
+    const [current, ...upcoming] = serverQueue.queue;
+    serverQueue.queue = [current, ...upcoming.filter((entry) => !entry.autoplay)];
+  }
+  if (!serverQueue.play()) queueChanged(guildId);
+}
+
+// Anything that edits a guild's queue or loop mode goes through here
+function queueChanged(guildId) {
+  refreshPrefetch(guildId);
+  scheduleQueueSave();
+  topUpAutoplay(guildId).catch((err) => log.error("Autoplay top-up failed", { guildId, err }));
+  playerEvents.emit("state", guildId);
+}
+
+// === Permissions: DJ role, listener checks and vote-skip ===
+// Who may run what. Commands and panel buttons not listed here are open to everyone.
+//   listener: must be in the bot's voice channel (when it is in one)
+//   dj:       listener + DJ role
+//   skip:     listener + DJ role or requester of the current track
+// /remove and /clear are listener commands that only touch the caller's own entries unless canManageQueue.
+const commandAccess = {
+  join: "listener",
+  play: "listener",
+  playnext: "listener",
+  playlist: "listener",
+  pause: "listener",
+  resume: "listener",
+  seek: "listener",
+  volume: "listener",
+  filter: "listener",
+  voteskip: "listener",
+  "saved load": "listener",
+  skip: "skip",
+  wrongsong: "skip",
+  stop: "dj",
+  leave: "dj",
+  loop: "dj",
+  autoplay: "dj",
+  clear: "listener",
+  remove: "listener",
+  move: "dj",
+  shuffle: "dj",
+  skipto: "dj",
+  back: "dj",
+  dedupe: "dj",
+};
+
+function listenersIn(channel) {
+  return channel ? channel.members.filter((member) => !member.user.bot) : new Map();
+}
+
+// DJ role, Manage Server, or being the only listener left with the bot
+function isDJ(member, botChannelId) {
+  const { djRole } = settingsFor(member.guild.id);
+  if (!djRole) return true;
+  if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+  const wanted = djRole.toLowerCase();
+  if (member.roles.cache.some((role) => role.id === djRole || role.name.toLowerCase() === wanted)) return true;
+  const channel = member.voice.channel;
+  return Boolean(channel) && channel.id === botChannelId && listenersIn(channel).size === 1;
+}
+
+// DJs may edit anyone's entries; everyone else only their own
+function canManageQueue(member) {
+  return isDJ(member, member.guild.members.me?.voice.channelId);
+}
+
+// Returns the reason `member` may not run `action`, or null when allowed
+function accessDenied(member, serverQueue, action) {
+  const access = commandAccess[action];
+  if (!access) return null;
+
+  const botChannelId = member.guild.members.me?.voice.channelId;
+  if (botChannelId && member.voice.channelId !== botChannelId) {
+    return "You need to be in my voice channel to control playback.";
+  }
+  if (access === "dj" && !isDJ(member, botChannelId)) {
+    const { djRole } = settingsFor(member.guild.id);
+    return `Only DJs can do that (role: ${/^\d+$/.test(djRole) ? `<@&${djRole}>` : djRole}).`;
+  }
+  if (access === "skip" && !isDJ(member, botChannelId) && serverQueue?.nowPlaying?.requester?.id !== member.id) {
+    return "Only DJs or whoever requested this track can skip it. Use /voteskip instead.";
+  }
+  return null;
+}
+
+// Records a skip vote for the current track; skips once enough listeners agree
+function voteSkip(guildId, member) {
+  const serverQueue = queues.get(guildId);
+  const song = serverQueue?.nowPlaying;
+  if (!song || !serverQueue.player) return { error: "Nothing is playing!" };
+
+  const botChannelId = member.guild.members.me?.voice.channelId;
+  if (isDJ(member, botChannelId) || song.requester?.id === member.id) {
+    skipTrack(guildId);
+    return { skipped: true, song };
+  }
+
+  if (serverQueue.skipVotes?.song !== song) serverQueue.skipVotes = { song, voters: new Set() };
+  const { voters } = serverQueue.skipVotes;
+  if (voters.has(member.id)) return { error: "You already voted to skip this track." };
+  voters.add(member.id);
+
+  // Only votes from people still listening count
+  const listeners = listenersIn(member.voice.channel);
+  const votes = [...voters].filter((id) => listeners.has(id)).length;
+  const { voteSkipPercent } = settingsFor(guildId);
+  const needed = Math.max(1, Math.ceil((listeners.size * voteSkipPercent) / 100));
+  if (votes >= needed) {
+    serverQueue.skipVotes = null;
+    skipTrack(guildId);
+    return { skipped: true, song, votes, needed };
+  }
+  return { skipped: false, song, votes, needed };
+}
+
+// === Autoplay: keep going with related tracks when the queue runs out ===
+const AUTOPLAY_HISTORY = Math.max(1, Number(process.env.AUTOPLAY_HISTORY) || 25);
+const AUTOPLAY_REQUESTER = { id: null, name: "Autoplay" };
+
+function youtubeVideoId(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname.endsWith("youtu.be")) return parsed.pathname.slice(1) || null;
+    return parsed.searchParams.get("v");
+  } catch (e) {
+    return null;
+  }
+}
+
+// The last AUTOPLAY_HISTORY songs, newest first; autoplay seeds from these and never repeats them
+function rememberPlayed(serverQueue, song) {
+  const key = entryKey(song);
+  serverQueue.recent = [song, ...serverQueue.recent.filter((entry) => entryKey(entry) !== key)].slice(0, AUTOPLAY_HISTORY);
+}
+
+// Picks a related track from the YouTube mix of the most recent songs
+async function findAutoplayEntry(guildId, serverQueue) {
+  const { maxTrackDuration } = settingsFor(guildId);
+  const played = new Set();
+  for (const entry of [...serverQueue.queue, ...serverQueue.recent]) {
+    played.add(entryKey(entry));
+    played.add(entryTitle(entry).toLowerCase());
+  }
+  const seeds = [...serverQueue.queue, ...serverQueue.recent]
+    .map((entry) => youtubeVideoId(entry.url ?? ""))
+    .filter(Boolean);
+
+  for (const id of [...new Set(seeds)].slice(0, 3)) {
+    try {
+      const mix = await getYouTubePlaylist(`https://www.youtube.com/watch?v=${id}&list=RD${id}`, { limit: 25 });
+      const candidates = mix.entries.filter(
+        (entry) =>
+          entry.duration &&
+          (!maxTrackDuration || entry.duration <= maxTrackDuration) &&
+          !played.has(entryKey(entry)) &&
+          !played.has(entry.title.toLowerCase())
+      );
+      // Mixes put the closest matches first; a little randomness keeps radio sessions from repeating
+      const pick = candidates[Math.floor(Math.random() * Math.min(5, candidates.length))];
+      if (pick) return { ...pick, autoplay: true, requester: AUTOPLAY_REQUESTER };
+    } catch (err) {
+      log.warn("Autoplay mix failed", { guildId, videoId: id, err });
+    }
+  }
+  return null;
+}
+
+// Queues one related track behind the current song once nothing else is left
+async function topUpAutoplay(guildId) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue?.autoplay || serverQueue.autoplayPending) return;
+  if (serverQueue.loop !== "off" || serverQueue.queue.length !== 1) return;
+
+  serverQueue.autoplayPending = true;
+  try {
+    const entry = await findAutoplayEntry(guildId, serverQueue);
+    // Users may have queued something, or turned autoplay off, while the mix loaded
+    if (queues.get(guildId) !== serverQueue || !serverQueue.autoplay || serverQueue.queue.length !== 1) return;
+    if (!entry) {
+      announce(serverQueue, "📻 Autoplay couldn't find anything related to play next.");
+      return;
+    }
+    log.info("Autoplay queued", { guildId, ...trackFields(entry) });
+    serverQueue.queue.push(entry);
+    queueChanged(guildId);
+  } finally {
+    serverQueue.autoplayPending = false;
+  }
+}
+
+function setAutoplay(guildId, enabled) {
+  const serverQueue = queues.get(guildId);
+  if (!serverQueue) return false;
+  serverQueue.autoplay = enabled;
+  if (!enabled) {
+    // Drop picks that haven't started yet
+    const [current, ...upcoming] = serverQueue.queue;
+    if (current) serverQueue.queue = [current, ...upcoming.filter((entry) => !entry.autoplay)];
+  }
+  queueChanged(guildId);
+  return true;
+}
+
+// === Queue persistence ===
+const queueStateFile = path.resolve(process.env.QUEUE_STATE_FILE || "./data/queues.json");
+const queueStateTtlMs = (Number(process.env.QUEUE_STATE_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const persistenceOptOut = new Set(readQueueState().optOut);
+let queueSaveTimer = null;
+
+function readQueueState() {
+  const data = readJsonFile(queueStateFile, {});
+  return { guilds: data.guilds ?? {}, optOut: data.optOut ?? [] };
+}
+
+function serializeQueues() {
+  const guilds = {};
+  for (const [guildId, serverQueue] of queues) {
+    const voiceChannelId = serverQueue.connection?.joinConfig.channelId;
+    if (persistenceOptOut.has(guildId) || !voiceChannelId || serverQueue.queue.length === 0) continue;
+    guilds[guildId] = {
+      voiceChannelId,
+      textChannelId: serverQueue.textChannel?.id ?? null,
+      queue: serverQueue.queue,
+      loop: serverQueue.loop,
+      autoplay: serverQueue.autoplay,
+      volume: serverQueue.volume,
+      filters: serverQueue.filters,
+      position: Math.floor(playbackPosition(serverQueue)),
+      savedAt: Date.now(),
+    };
+  }
+  return { guilds, optOut: [...persistenceOptOut] };
+}
+
+function writeQueueState() {
+  clearTimeout(queueSaveTimer);
+  queueSaveTimer = null;
+  writeJsonFile(queueStateFile, serializeQueues());
+}
+
+function scheduleQueueSave() {
+  if (queueSaveTimer) return;
+  queueSaveTimer = setTimeout(writeQueueState, 1000);
+}
+
+// Rejoins every saved voice channel and continues from the saved track and position
+async function restoreQueues() {
+  const { guilds } = readQueueState();
+  for (const [guildId, saved] of Object.entries(guilds)) {
+    if (persistenceOptOut.has(guildId) || !saved.queue?.length) continue;
+    if (Date.now() - saved.savedAt > queueStateTtlMs) {
+      log.info("Dropping expired saved queue", { guildId });
+      continue;
+    }
+    try {
+      const guild = await client.guilds.fetch(guildId);
+      const voiceChannel = await guild.channels.fetch(saved.voiceChannelId);
+      const textChannel = saved.textChannelId
+        ? await guild.channels.fetch(saved.textChannelId).catch(() => null)
+        : null;
+      if (!voiceChannel?.isVoiceBased() || !textChannel?.isTextBased()) continue;
+
+      const serverQueue = getServerQueue(guildId);
+      serverQueue.queue = saved.queue;
+      serverQueue.loop = saved.loop ?? serverQueue.loop;
+      serverQueue.volume = saved.volume ?? serverQueue.volume;
+      serverQueue.filters = { ...defaultFilters(), ...saved.filters };
+      serverQueue.autoplay = saved.autoplay ?? false;
+      serverQueue.startOffset = saved.position ?? 0;
+      connectVoice(serverQueue, guild, voiceChannel.id);
+
+      log.info("Restored saved queue", { guildId, entries: saved.queue.length });
+      await textChannel.send(`🔄 Bot restarted, resuming the queue (${saved.queue.length} tracks).`).catch(() => {});
+      serverQueue.textChannel = announcementChannel(guildId, textChannel);
+      serverQueue.play();
+    } catch (err) {
+      log.error("Failed to restore queue", { guildId, err });
+    }
+  }
+  writeQueueState();
+}
+
+// Keep the saved position fresh while something plays, and flush on shutdown
+setInterval(() => {
+  if ([...queues.values()].some((q) => q.nowPlaying)) scheduleQueueSave();
+}, 15000);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    writeQueueState();
+    process.exit(0);
+  });
+}
+
+// === Saved server playlists ===
+const savedPlaylistsFile = path.resolve(process.env.SAVED_PLAYLISTS_FILE || "./data/playlists.json");
+const savedPlaylists = readJsonFile(savedPlaylistsFile, {}); // guildId → lowercased name → playlist
+
+function savedPlaylistKey(name) {
+  return name.trim().toLowerCase();
+}
+
+function getSavedPlaylist(guildId, name) {
+  return savedPlaylists[guildId]?.[savedPlaylistKey(name)] ?? null;
+}
+
+// Owners manage their own playlists; Manage Server can manage anyone's
+function canManageSaved(member, playlist) {
+  return playlist.ownerId === member.id || member.permissions.has(PermissionFlagsBits.ManageGuild);
+}
+
+// Lazy Spotify entries stay lazy; the requester is whoever loads the playlist later
+function saveQueueAs(guildId, name, serverQueue, owner) {
+  const key = savedPlaylistKey(name);
+  const existing = savedPlaylists[guildId]?.[key];
+  const entries = serverQueue.queue.map(({ requester, ...entry }) => entry);
+  savedPlaylists[guildId] = {
+    ...savedPlaylists[guildId],
+    [key]: {
+      name: name.trim(),
+      ownerId: existing?.ownerId ?? owner.id,
+      ownerName: existing?.ownerName ?? owner.name,
+      createdAt: existing?.createdAt ?? Date.now(),
+      updatedAt: Date.now(),
+      entries,
+    },
+  };
+  writeJsonFile(savedPlaylistsFile, savedPlaylists);
+  return { entries, updated: Boolean(existing) };
+}
+
+function deleteSavedPlaylist(guildId, name) {
+  const key = savedPlaylistKey(name);
+  if (!savedPlaylists[guildId]?.[key]) return false;
+  delete savedPlaylists[guildId][key];
+  if (Object.keys(savedPlaylists[guildId]).length === 0) delete savedPlaylists[guildId];
+  writeJsonFile(savedPlaylistsFile, savedPlaylists);
+  return true;
+}
+
+function savedPlaylistDuration(playlist) {
+  return playlist.entries.reduce((total, entry) => total + (entry.duration || 0), 0);
+}
+
+function savedPlaylistEmbed(playlist) {
+  const lines = playlist.entries
+    .slice(0, 20)
+    .map((entry, i) => `\`${i + 1}.\` ${entryTitle(entry)} (${entry.duration ? formatDuration(entry.duration) : "LIVE"})`);
+  if (playlist.entries.length > 20) lines.push(`…and ${playlist.entries.length - 20} more`);
+  return new EmbedBuilder()
+    .setColor(0x1db954)
+    .setTitle(`💾 ${playlist.name}`.slice(0, 256))
+    .setDescription(lines.join("\n").slice(0, 4096) || "Empty playlist")
+    .setFooter({
+      text: `${playlist.entries.length} tracks · ${formatDuration(savedPlaylistDuration(playlist))} · saved by ${playlist.ownerName}`,
+    })
+    .setTimestamp(playlist.updatedAt);
+}
+
+function savedPlaylistChoices(guildId, query) {
+  const needle = query.trim().toLowerCase();
+  return Object.values(savedPlaylists[guildId] ?? {})
+    .filter((playlist) => playlist.name.toLowerCase().includes(needle))
+    .slice(0, 25)
+    .map((playlist) => ({ name: `${playlist.name} (${playlist.entries.length} tracks)`.slice(0, 100), value: playlist.name }));
+}
+
+// === Listening history ===
+const historyFile = path.resolve(process.env.HISTORY_FILE || "./data/history.json");
+const HISTORY_LIMIT = Math.max(1, Number(process.env.HISTORY_LIMIT) || 5000); // plays kept per guild
+const HISTORY_PAGE_SIZE = 10;
+const STATS_TOP = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const statsPeriods = { day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS, year: 365 * DAY_MS };
+const listeningHistory = readJsonFile(historyFile, {}); // guildId → plays, oldest first
+let historySaveTimer = null;
+
+function scheduleHistorySave() {
+  if (historySaveTimer) return;
+  historySaveTimer = setTimeout(() => {
+    historySaveTimer = null;
+    writeJsonFile(historyFile, listeningHistory);
+  }, 2000);
+}
+
+// The play is only written once it ends, when we know how much was heard and whether it was skipped
+function startListening(serverQueue, song, resource) {
+  serverQueue.listening = { song, resource, startedAt: Date.now(), heardMs: 0 };
+}
+
+function recordPlay(guildId, serverQueue, { skipped }) {
+  const listening = serverQueue.listening;
+  if (!listening) return;
+  serverQueue.listening = null;
+
+  const { requester, autoplay, ...entry } = listening.song;
+  const plays = (listeningHistory[guildId] ??= []);
+  plays.push({
+    entry,
+    requester: requester ?? null,
+    autoplay: Boolean(autoplay),
+    playedAt: listening.startedAt,
+    listened: Math.round((listening.heardMs + listening.resource.playbackDuration) / 1000), // seconds actually heard
+    skipped,
+  });
+  if (plays.length > HISTORY_LIMIT) plays.splice(0, plays.length - HISTORY_LIMIT);
+  scheduleHistorySave();
+  tracksPlayed.inc({ skipped });
+}
+
+function playTitle(play) {
+  const { spotify } = play.entry;
+  return spotify ? `${spotify.artist} - ${spotify.title}` : entryTitle(play.entry);
+}
+
+// The last track that finished, ready to queue again
+function previousEntry(guildId, requester) {
+  const previous = listeningHistory[guildId]?.at(-1);
+  return previous ? { ...previous.entry, requester } : null;
+}
+
+// Newest first
+function historyPage(guildId, page) {
+  const plays = listeningHistory[guildId] ?? [];
+  const pages = Math.max(1, Math.ceil(plays.length / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), pages - 1);
+
+  const first = page * HISTORY_PAGE_SIZE;
+  const lines = plays
+    .slice()
+    .reverse()
+    .slice(first, first + HISTORY_PAGE_SIZE)
+    .map((play, i) => {
+      const by = play.requester?.id ? `<@${play.requester.id}>` : play.requester?.name ?? "unknown";
+      const skipped = play.skipped ? " ⏭️" : "";
+      return `**${first + i + 1}.** ${play.autoplay ? "📻 " : ""}${playTitle(play).slice(0, 80)}${skipped} · ${by} · <t:${Math.floor(play.playedAt / 1000)}:R>`;
+    });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x1db954)
+    .setTitle("🕘 Listening history")
+    .setDescription(lines.join("\n") || "Nothing has been played here yet.")
+    .setFooter({ text: `Page ${page + 1}/${pages} · ${plays.length} plays · ⏭️ = skipped` });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`history:page:${page - 1}`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`history:page:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pages - 1)
+  );
+  return { embeds: [embed], components: pages > 1 ? [row] : [] };
+}
+
+// `period` is a key of statsPeriods; anything else covers all of the kept history
+function historyStats(guildId, period) {
+  const since = statsPeriods[period] ? Date.now() - statsPeriods[period] : 0;
+  const plays = (listeningHistory[guildId] ?? []).filter((play) => play.playedAt >= since);
+  const tracks = new Map();
+  const requesters = new Map();
+  let listened = 0;
+  let skipped = 0;
+
+  for (const play of plays) {
+    listened += play.listened;
+    if (play.skipped) skipped++;
+    const key = entryKey(play.entry);
+    const track = tracks.get(key) ?? { title: playTitle(play), url: play.entry.url, plays: 0 };
+    track.plays++;
+    tracks.set(key, track);
+    if (!play.requester?.id) continue; // autoplay picks
+    const requester = requesters.get(play.requester.id) ?? { id: play.requester.id, plays: 0, listened: 0 };
+    requester.plays++;
+    requester.listened += play.listened;
+    requesters.set(play.requester.id, requester);
+  }
+  const top = (map) => [...map.values()].sort((a, b) => b.plays - a.plays).slice(0, STATS_TOP);
+  return { plays: plays.length, listened, skipped, tracks: top(tracks), requesters: top(requesters) };
+}
+
+function historyStatsEmbed(guild, period) {
+  const stats = historyStats(guild.id, period);
+  const tracks = stats.tracks.map(
+    (track, i) => `\`${i + 1}.\` ${track.url ? `[${track.title.slice(0, 80)}](${track.url})` : track.title.slice(0, 80)} · ${track.plays} plays`
+  );
+  const requesters = stats.requesters.map(
+    (requester, i) => `\`${i + 1}.\` <@${requester.id}> · ${requester.plays} plays · ${formatDuration(requester.listened)}`
+  );
+  return new EmbedBuilder()
+    .setColor(0x1db954)
+    .setTitle(`📊 Stats for ${guild.name} · ${statsPeriods[period] ? `last ${period}` : "all time"}`.slice(0, 256))
+    .setDescription(
+      `**Plays:** ${stats.plays} (${stats.skipped} skipped)\n**Listening time:** ${formatDuration(stats.listened)}`
+    )
+    .addFields(
+      { name: "Top tracks", value: tracks.join("\n").slice(0, 1024) || "Nothing yet" },
+      { name: "Top requesters", value: requesters.join("\n").slice(0, 1024) || "Nothing yet" }
+    );
+}
+
+// === Discord Events ===
+client.once(Events.ClientReady, () => {
+  log.info("Logged in", { user: client.user.tag });
+  client.user.setActivity("Music!", { type: 2 });
+  restoreQueues().catch((err) => log.error("Queue restore failed", { err }));
+});
+
+client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+  const guild = newState.guild;
+  const serverQueue = queues.get(guild.id);
+  if (!serverQueue?.connection) return;
+
+  if (newState.id === client.user.id && oldState.channelId && newState.channelId && oldState.channelId !== newState.channelId) {
+    log.info("Moved to another voice channel", { guildId: guild.id, channelId: newState.channelId });
+    // Rejoins and saved queues read the channel from joinConfig, so record the move before saving
+    serverQueue.connection.joinConfig.channelId = newState.channelId;
+    scheduleQueueSave();
+    announce(serverQueue, `🚚 Moved to ${newState.channel}, following along.`);
+  }
+  checkAlone(guild);
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isChatInputCommand()) return;
+  const command = findCommand(interaction.commandName);
+  if (command) await runCommand(command, interactionContext(interaction));
+});
+
+client.on(Events.MessageCreate, async (message) => {
+  if (!process.env.PREFIX || !message.guild || message.author.bot) return;
+  const { prefix } = settingsFor(message.guild.id);
+  if (!message.content.startsWith(prefix)) return;
+
+  const [name, ...args] = message.content.slice(prefix.length).trim().split(/\s+/);
+  const command = name && findCommand(name.toLowerCase());
+  if (!command) return;
+  const parsed = parsePrefixArgs(command, args, message, prefix);
+  if (parsed.error) return message.reply({ content: parsed.error, allowedMentions: { repliedUser: false } }).catch(() => {});
+  await runCommand(command, messageContext(message, command, parsed));
+});
+
+// === Command dispatch: slash and prefix commands share everything past parsing ===
+async function runCommand(command, ctx) {
+  const commandName = command.data.name;
+  ctx.serverQueue = getServerQueue(ctx.guildId);
+  ctx.requester = requesterOf(ctx);
+
+  // Discord enforces default member permissions for slash commands only
+  const required = command.data.default_member_permissions;
+  if (ctx.kind === "prefix" && required && !ctx.member.permissions.has(BigInt(required)))
+    return ctx.reply("You need the Manage Server permission to use that command.");
+
+  const action = ctx.subcommand && `${commandName} ${ctx.subcommand}` in commandAccess ? `${commandName} ${ctx.subcommand}` : commandName;
+  const denied = accessDenied(ctx.member, ctx.serverQueue, action);
+  if (denied) return ctx.reply({ content: denied, ephemeral: true });
+
+  try {
+    await command.execute(ctx);
+  } catch (err) {
+    log.error("Command failed", { guildId: ctx.guildId, command: commandName, kind: ctx.kind, err });
+    const reply = { content: "❌ Something went wrong running that command.", ephemeral: true };
+    await (ctx.replied || ctx.deferred ? ctx.followUp(reply) : ctx.reply(reply)).catch(() => {});
+  }
+}
+
+// === /search results ===
+const SEARCH_TTL_MS = 5 * 60 * 1000;
+const searchResults = new Map(); // select menu id → { userId, results }
+
+function searchMenu(token, results) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`search:${token}`)
+    .setPlaceholder("Pick a result to queue")
+    .addOptions(
+      results.map((result, i) => ({
+        label: result.title.slice(0, 100),
+        description: [result.channel, result.duration ? formatDuration(result.duration) : "LIVE"]
+          .filter(Boolean)
+          .join(" · ")
+          .slice(0, 100),
+        value: String(i),
+      }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+async function handleSearchSelect(interaction) {
+  const [, token] = interaction.customId.split(":");
+  const pending = searchResults.get(token);
+  if (!pending) {
+    return interaction.update({ content: "This search has expired, run /search again.", components: [] });
+  }
+  if (interaction.user.id !== pending.userId) {
+    return interaction.reply({ content: "Only the person who searched can pick a result.", ephemeral: true });
+  }
+  if (!interaction.member.voice.channel) {
+    return interaction.reply({ content: "You are not in a voice channel!", ephemeral: true });
+  }
+
+  const guildId = interaction.guild.id;
+  const serverQueue = getServerQueue(guildId);
+  const denied = accessDenied(interaction.member, serverQueue, "play");
+  if (denied) return interaction.reply({ content: denied, ephemeral: true });
+  if (!serverQueue.connection) {
+    connectVoice(serverQueue, interaction.guild, interaction.member.voice.channel.id);
+  }
+  const song = pending.results[Number(interaction.values[0])];
+  const { accepted, note } = enqueue(guildId, [{ ...song, requester: requesterOf(interaction) }]);
+  if (accepted.length === 0) return interaction.reply({ content: note, ephemeral: true });
+  searchResults.delete(token);
+  await interaction.update({ content: `Added to queue: ${song.title}`, components: [] });
+  playIfIdle(guildId, interaction.channel);
+}
+
+// === /play autocomplete ===
+// Discord sends one autocomplete interaction per keystroke, so lookups are cached, shared while
+// in flight, and only run once the user has paused typing.
+const AUTOCOMPLETE_DEBOUNCE_MS = 400;
+const AUTOCOMPLETE_BUDGET_MS = 2500; // Discord drops autocomplete responses after 3s
+const SUGGESTION_TTL_MS = 10 * 60 * 1000;
+const SUGGESTION_CACHE_SIZE = 200;
+const suggestionCache = new Map(); // query → { results, at }, oldest first
+const suggestionSearches = new Map(); // query → in-flight promise
+const latestAutocomplete = new Map(); // user id → token of their newest keystroke
+
+function cachedSuggestions(key) {
+  const hit = suggestionCache.get(key);
+  if (!hit || Date.now() - hit.at > SUGGESTION_TTL_MS) return null;
+  suggestionCache.delete(key);
+  suggestionCache.set(key, hit);
+  return hit.results;
+}
+
+function searchSuggestions(key) {
+  if (!suggestionSearches.has(key)) {
+    const search = ytdlpSearch(key, 5)
+      .then((results) => {
+        suggestionCache.set(key, { results, at: Date.now() });
+        if (suggestionCache.size > SUGGESTION_CACHE_SIZE) {
+          suggestionCache.delete(suggestionCache.keys().next().value);
+        }
+        return results;
+      })
+      .catch(() => [])
+      .finally(() => suggestionSearches.delete(key));
+    suggestionSearches.set(key, search);
+  }
+  return suggestionSearches.get(key);
+}
+
+function suggestionChoices(query, results) {
+  const typed = { name: `🔎 ${query}`.slice(0, 100), value: query.slice(0, 100) };
+  const found = results.map((result) => {
+    const length = result.duration ? ` (${formatDuration(result.duration)})` : "";
+    return { name: `${result.title.slice(0, 100 - length.length)}${length}`, value: result.url };
+  });
+  return [typed, ...found].slice(0, 25);
+}
+
+async function handlePlayAutocomplete(interaction) {
+  const query = interaction.options.getFocused().trim();
+  const key = query.toLowerCase();
+  if (query.length < 3 || /^(https?:\/\/|url:)/i.test(query)) {
+    return interaction.respond(query ? [{ name: query.slice(0, 100), value: query.slice(0, 100) }] : []);
+  }
+
+  const cached = cachedSuggestions(key);
+  if (cached) return interaction.respond(suggestionChoices(query, cached));
+
+  const token = interaction.id;
+  latestAutocomplete.set(interaction.user.id, token);
+  await wait(AUTOCOMPLETE_DEBOUNCE_MS);
+  if (latestAutocomplete.get(interaction.user.id) !== token) {
+    return interaction.respond(suggestionChoices(query, [])); // superseded by a newer keystroke
+  }
+  latestAutocomplete.delete(interaction.user.id);
+
+  const budget = AUTOCOMPLETE_BUDGET_MS - (Date.now() - interaction.createdTimestamp);
+  const results = await Promise.race([searchSuggestions(key), wait(Math.max(0, budget)).then(() => [])]);
+  await interaction.respond(suggestionChoices(query, results));
+}
+
+// === Lyrics ===
+// A provider is { name, find({ artist, title, duration, query }) } resolving to
+// { artist, title, plain, synced: [{ time, text }] | null, instrumental } or null.
+const LYRICS_PAGE_SIZE = 3800;
+const LYRICS_SESSION_TTL_MS = 15 * 60 * 1000;
+const lyricsSessions = new Map(); // token → { title, provider, pages }
+
+// "[01:02.34][01:40.00] text" → [{ time: 62.34, text }, { time: 100, text }]
+function parseLrc(lrc) {
+  const lines = [];
+  for (const raw of lrc.split("\n")) {
+    const text = raw.replace(/\[\d+:\d+(?:\.\d+)?\]/g, "").trim();
+    for (const [, minutes, seconds] of raw.matchAll(/\[(\d+):(\d+(?:\.\d+)?)\]/g)) {
+      lines.push({ time: Number(minutes) * 60 + Number(seconds), text });
+    }
+  }
+  return lines.sort((a, b) => a.time - b.time);
+}
+
+function lrclibProvider(baseUrl) {
+  const root = baseUrl.replace(/\/+$/, "");
+  const request = async (pathname, params) => {
+    const url = new URL(`${root}${pathname}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+    const res = await fetch(url, {
+      headers: { "User-Agent": "Melodisc (https://github.com/AnantaPunMagar/Melodisc)" },
+      signal: AbortSignal.timeout(8000),
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`LRCLIB responded with ${res.status}`);
+    return res.json();
+  };
+  const toLyrics = (record) => {
+    const synced = record.syncedLyrics ? parseLrc(record.syncedLyrics) : null;
+    return {
+      artist: record.artistName,
+      title: record.trackName,
+      plain: record.plainLyrics ?? synced?.map((line) => line.text).join("\n") ?? "",
+      synced,
+      instrumental: Boolean(record.instrumental),
+    };
+  };
+
+  return {
+    name: "LRCLIB",
+    async find({ artist, title, duration, query }) {
+      if (artist && title) {
+        const exact = await request("/api/get", {
+          artist_name: artist,
+          track_name: title,
+          duration: duration ? Math.round(duration) : null,
+        });
+        if (exact) return toLyrics(exact);
+      }
+      const results = await request("/api/search", { q: query ?? `${artist} ${title}` });
+      const best = results?.find((record) => record.syncedLyrics) ?? results?.[0];
+      return best ? toLyrics(best) : null;
+    },
+  };
+}
+
+const lyricsProviders = [lrclibProvider(process.env.LYRICS_API_URL || "https://lrclib.net")];
+
+async function findLyrics(request) {
+  for (const provider of lyricsProviders) {
+    try {
+      const lyrics = await provider.find(request);
+      if (lyrics) return { ...lyrics, provider: provider.name };
+    } catch (err) {
+      log.warn("Lyrics provider failed", { provider: provider.name, err });
+    }
+  }
+  return null;
+}
+
+// Best guess at artist and title for the now playing entry
+function lyricsRequestFor(song) {
+  if (song.spotify) return { ...song.spotify, duration: song.duration };
+  if (song.type === 'spotify') return { artist: song.artist, title: song.title, duration: song.duration };
+
+  const cleaned = song.title
+    .replace(/\s*[([][^)\]]*(official|lyric|video|audio|visuali[sz]er|hd|4k|mv)[^)\]]*[)\]]/gi, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const [artist, ...rest] = cleaned.split(" - ");
+  if (rest.length) return { artist: artist.trim(), title: rest.join(" - ").trim(), duration: song.duration };
+  const channelArtist = song.channel?.replace(/\s*-\s*Topic$/, "").trim();
+  return { artist: channelArtist, title: cleaned, duration: song.duration, query: cleaned };
+}
+
+function paginateText(text, size = LYRICS_PAGE_SIZE) {
+  const pages = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    if (current && current.length + line.length + 1 > size) {
+      pages.push(current);
+      current = "";
+    }
+    current += (current ? "\n" : "") + line.slice(0, size);
+  }
+  if (current) pages.push(current);
+  return pages.length ? pages : ["(no lyrics)"];
+}
+
+function lyricsPage(token, session, page) {
+  page = Math.min(Math.max(page, 0), session.pages.length - 1);
+  const embed = new EmbedBuilder()
+    .setColor(0x1db954)
+    .setTitle(`🎤 ${session.title}`.slice(0, 256))
+    .setDescription(session.pages[page])
+    .setFooter({ text: `Page ${page + 1}/${session.pages.length} · Lyrics from ${session.provider}` });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`lyrics:page:${token}:${page - 1}`)
+      .setLabel("◀ Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`lyrics:page:${token}:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= session.pages.length - 1)
+  );
+  return { content: "", embeds: [embed], components: session.pages.length > 1 ? [row] : [] };
+}
+
+function syncedLyricsEmbed(title, lines, position) {
+  let current = -1;
+  while (current + 1 < lines.length && lines[current + 1].time <= position) current++;
+  const from = Math.max(0, current - 2);
+  const visible = lines.slice(from, from + 8).map((line, i) => {
+    const text = line.text || "♪";
+    return from + i === current ? `**▶ ${text}**` : text;
+  });
+  return {
+    current,
+    embed: new EmbedBuilder()
+      .setColor(0x1db954)
+      .setTitle(`🎤 ${title}`.slice(0, 256))
+      .setDescription(visible.join("\n") || "♪")
+      .setFooter({ text: `${formatDuration(position)} · synced lyrics` }),
+  };
+}
+
+// Posts a message that follows the playback position until the track changes
+async function followSyncedLyrics(guildId, lyrics) {
+  const serverQueue = queues.get(guildId);
+  const song = serverQueue?.nowPlaying;
+  if (!song || !serverQueue.textChannel) return;
+  serverQueue.lyricsFollower?.stop();
+
+  const title = `${lyrics.artist} - ${lyrics.title}`;
+  let { current, embed } = syncedLyricsEmbed(title, lyrics.synced, playbackPosition(serverQueue));
+  const message = await serverQueue.textChannel.send({ embeds: [embed] });
+  const follower = {
+    stop() {
+      clearInterval(timer);
+      if (serverQueue.lyricsFollower === follower) serverQueue.lyricsFollower = null;
+    },
+  };
+  const timer = setInterval(() => {
+    if (serverQueue.nowPlaying !== song || queues.get(guildId) !== serverQueue) {
+      follower.stop();
+      message.edit({ content: "🎤 Song finished.", embeds: [] }).catch(() => {});
+      return;
+    }
+    const next = syncedLyricsEmbed(title, lyrics.synced, playbackPosition(serverQueue));
+    if (next.current === current) return;
+    current = next.current;
+    message.edit({ embeds: [next.embed] }).catch(() => follower.stop());
+  }, 2000);
+  serverQueue.lyricsFollower = follower;
+}
+
+// === Components: control panel, queue pages, search picks and autocomplete ===
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isAutocomplete() && interaction.commandName === "saved") {
+    return interaction
+      .respond(savedPlaylistChoices(interaction.guild.id, interaction.options.getFocused()))
+      .catch((err) => log.warn("Autocomplete failed", { guildId: interaction.guild.id, err }));
+  }
+  if (interaction.isAutocomplete()) {
+    return handlePlayAutocomplete(interaction).catch((err) =>
+      log.warn("Autocomplete failed", { guildId: interaction.guild.id, err })
+    );
+  }
+  if (interaction.isStringSelectMenu() && interaction.customId.startsWith("search:")) {
+    return handleSearchSelect(interaction).catch((err) => log.error("Search pick failed", { guildId: interaction.guild.id, err }));
+  }
+  if (!interaction.isButton()) return;
+
+  const [scope, action, arg, extra] = interaction.customId.split(":");
+  const guildId = interaction.guild.id;
+  const serverQueue = queues.get(guildId);
+
+  if (scope === "lyrics" && action === "page") {
+    const session = lyricsSessions.get(arg);
+    if (!session) return interaction.update({ content: "These lyrics have expired, run /lyrics again.", components: [] });
+    return interaction.update(lyricsPage(arg, session, Number(extra)));
+  }
+  if (scope === "queue" && action === "page") {
+    if (!serverQueue?.queue.length) {
+      return interaction.update({ content: "Queue is empty!", embeds: [], components: [] });
+    }
+    return interaction.update(queuePage(serverQueue, Number(arg)));
+  }
+  if (scope === "history" && action === "page") {
+    return interaction.update(historyPage(guildId, Number(arg)));
+  }
+  if (scope !== "player") return;
+
+  if (!serverQueue?.player || !serverQueue.nowPlaying) {
+    return interaction.reply({ content: "Nothing is playing!", ephemeral: true });
+  }
+  const denied = accessDenied(interaction.member, serverQueue, action);
+  if (denied) return interaction.reply({ content: denied, ephemeral: true });
+
+  await interaction.deferUpdate();
+  if (action === "pause") {
+    if (!pausePlayback(guildId)) resumePlayback(guildId);
+  } else if (action === "skip") {
+    skipTrack(guildId);
+  } else if (action === "stop") {
+    stopPlayback(guildId);
+  } else if (action === "loop") {
+    setLoopMode(guildId, loopCycle[serverQueue.loop]);
+  } else if (action === "shuffle") {
+    const shuffled = shuffleQueue(guildId);
+    await interaction.followUp({
+      content: shuffled ? `🔀 ${interaction.user} shuffled ${shuffled} tracks.` : "Not enough tracks to shuffle!",
+      ephemeral: !shuffled,
+    });
+  }
+});
+
+// === Slash Commands ===
+// Definitions live next to their implementations in ./commands
+const commands = commandModules.map((command) => command.data.toJSON());
+
+// === Deploy Commands ===
+const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_BOT_TOKEN);
+(async () => {
+  try {
+    log.info("Refreshing application commands");
     const route = process.env.DISCORD_GUILD_ID
       ? Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, process.env.DISCORD_GUILD_ID)
       : Routes.applicationCommands(process.env.DISCORD_CLIENT_ID);
     await rest.put(route, { body: commands });
-    console.log("Successfully reloaded application (/) commands.");
+    log.info("Reloaded application commands", { count: commands.length });
   } catch (error) {
-    console.error(`Command deployment error: ${error.message}`);
+    log.error("Command deployment failed", { err: error });
   }
 })();
 
+// === Shared with ./commands ===
+export {
+  LYRICS_SESSION_TTL_MS, SEARCH_TTL_MS, accessDenied, admitEntries, audioCache, audioCacheMaxBytes,
+  audioCacheUsage, cacheFilesInUse, canManageQueue, canManageSaved, client, collectionReply,
+  connectVoice, correctSpotifyMatch, defaultSettings, deleteSavedPlaylist, describeSettings,
+  dropCacheEntry, enqueue, entryKey, entryTitle, findLyrics, followSyncedLyrics, formatDuration,
+  getSavedPlaylist, healthStatus, historyPage, historyStatsEmbed, isYouTubePlaylistUrl, leaveGuild,
+  lyricsPage, lyricsRequestFor, lyricsSessions, moveEntry, nowPlayingEmbed, paginateText,
+  parseRange, parseSpotifyUrl, parseTimestamp, pausePlayback, persistenceOptOut, playIfIdle,
+  playbackPosition, playerEvents, previousEntry, progressReply, queueChanged, queuePage, queues,
+  resolveQuery, resolveSpotifyLink, restartCurrentTrack, resumePlayback, saveQueueAs,
+  savedPlaylistDuration, savedPlaylistEmbed, savedPlaylists, scheduleQueueSave, searchMenu,
+  searchResults, setAutoplay, setLoopMode, settingsFor, shuffleQueue, skipTrack, spotifyResolved,
+  stopPlayback, updateSettings, voteSkip, writeQueueState, ytdlpSearch,
+};
+
+// Up before login so /healthz can report a gateway that never connects
+startControlApi();
 client.login(process.env.DISCORD_BOT_TOKEN);
@@ -0,0 +1,53 @@
+// commands/cache.js — the audio cache
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } from "discord.js";
+import {
+  audioCache,
+  audioCacheMaxBytes,
+  audioCacheUsage,
+  cacheFilesInUse,
+  dropCacheEntry,
+} from "../bot.js";
+import { log } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("cache")
+      .setDescription("Inspect or clear the bot's audio cache")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((sub) => sub.setName("stats").setDescription("Show cache size and hit rate"))
+      .addSubcommand((sub) => sub.setName("clear").setDescription("Delete every cached track")),
+    aliases: [],
+    async execute(ctx) {
+      const { subcommand } = ctx;
+      if (!audioCacheMaxBytes) return ctx.reply({ content: "The audio cache is disabled (AUDIO_CACHE_MAX_MB=0).", ephemeral: true });
+      if (subcommand === "clear") {
+        const inUse = cacheFilesInUse();
+        let cleared = 0;
+        for (const [key, entry] of [...audioCache.entries]) {
+          if (inUse.has(entry.file)) continue;
+          dropCacheEntry(key);
+          cleared++;
+        }
+        log.info("Audio cache cleared", { guildId: ctx.guildId, user: ctx.user.tag, cleared });
+        return ctx.reply(`🗑️ Removed ${cleared} cached tracks${inUse.size ? ` (kept ${inUse.size} playing right now)` : ""}.`);
+      }
+      const lookups = audioCache.hits + audioCache.misses;
+      const megabytes = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`;
+      const embed = new EmbedBuilder()
+        .setColor(0x1db954)
+        .setTitle("🗃️ Audio cache")
+        .addFields(
+          { name: "Tracks", value: String(audioCache.entries.size), inline: true },
+          { name: "Disk usage", value: `${megabytes(audioCacheUsage())} / ${megabytes(audioCacheMaxBytes)}`, inline: true },
+          {
+            name: "Hit rate",
+            value: lookups ? `${Math.round((audioCache.hits / lookups) * 100)}% (${audioCache.hits}/${lookups})` : "No lookups yet",
+            inline: true,
+          }
+        )
+        .setFooter({ text: "Hit rate counts lookups since the bot started" });
+      await ctx.reply({ embeds: [embed], ephemeral: true });
+    },
+  },
+];
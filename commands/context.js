@@ -0,0 +1,180 @@
+// commands/context.js — one context shape for slash commands and prefix messages, so every command runs the same way
+import { ApplicationCommandOptionType } from "discord.js";
+
+const OptionType = ApplicationCommandOptionType;
+
+// The subset of the interaction API that commands use
+export function interactionContext(interaction) {
+  return {
+    kind: "slash",
+    id: interaction.id,
+    commandName: interaction.commandName,
+    subcommand: interaction.options.getSubcommand(false),
+    guild: interaction.guild,
+    guildId: interaction.guild.id,
+    member: interaction.member,
+    user: interaction.user,
+    channel: interaction.channel,
+    options: interaction.options,
+    get replied() {
+      return interaction.replied;
+    },
+    get deferred() {
+      return interaction.deferred;
+    },
+    reply: (payload) => interaction.reply(payload),
+    deferReply: () => interaction.deferReply(),
+    editReply: (payload) => interaction.editReply(payload),
+    followUp: (payload) => interaction.followUp(payload),
+  };
+}
+
+// Messages can't be ephemeral, so those replies just go to the channel
+function messagePayload(payload) {
+  if (typeof payload === "string") return { content: payload, allowedMentions: { repliedUser: false } };
+  const { ephemeral, fetchReply, ...rest } = payload;
+  return { allowedMentions: { repliedUser: false }, ...rest };
+}
+
+// Same shape as interactionContext; `parsed` comes from parsePrefixArgs
+export function messageContext(message, command, parsed) {
+  let response = null;
+  let deferred = false;
+  const send = async (payload) => (response = await message.reply(messagePayload(payload)));
+  return {
+    kind: "prefix",
+    id: message.id,
+    commandName: command.data.name,
+    subcommand: parsed.subcommand,
+    guild: message.guild,
+    guildId: message.guild.id,
+    member: message.member,
+    user: message.author,
+    channel: message.channel,
+    options: optionAccessors(parsed),
+    get replied() {
+      return Boolean(response);
+    },
+    get deferred() {
+      return deferred;
+    },
+    reply: send,
+    async deferReply() {
+      deferred = true;
+      await message.channel.sendTyping().catch(() => {});
+    },
+    editReply: (payload) => (response ? response.edit(messagePayload(payload)) : send(payload)),
+    // As with interactions, the first follow-up after a deferral is the reply itself
+    followUp: (payload) => (response ? message.channel.send(messagePayload(payload)) : send(payload)),
+  };
+}
+
+// Mirrors CommandInteractionOptionResolver's getters over already-converted values
+function optionAccessors({ subcommand, values }) {
+  const get = (name, required = false) => {
+    const value = values[name] ?? null;
+    if (value === null && required) throw new Error(`Missing option: ${name}`);
+    return value;
+  };
+  return {
+    getString: get,
+    getInteger: get,
+    getNumber: get,
+    getBoolean: get,
+    getChannel: get,
+    getRole: get,
+    getAttachment: get,
+    getSubcommand(required = true) {
+      if (!subcommand && required) throw new Error("Missing subcommand");
+      return subcommand;
+    },
+  };
+}
+
+function usageFor(prefix, data, subcommand, options) {
+  const args = options.map((option) => (option.required ? `<${option.name}>` : `[${option.name}]`));
+  return `Usage: \`${[`${prefix}${data.name}`, subcommand, ...args].filter(Boolean).join(" ")}\``;
+}
+
+function convertOption(option, raw, guild) {
+  let value = null;
+  if (option.type === OptionType.Attachment) return raw;
+  if (option.type === OptionType.String) value = raw;
+  else if (option.type === OptionType.Integer) value = /^-?\d+$/.test(raw) ? Number(raw) : null;
+  else if (option.type === OptionType.Number) value = raw !== "" && Number.isFinite(Number(raw)) ? Number(raw) : null;
+  else if (option.type === OptionType.Boolean) {
+    value = /^(true|yes|on|1)$/i.test(raw) ? true : /^(false|no|off|0)$/i.test(raw) ? false : null;
+  } else if (option.type === OptionType.Channel) {
+    value = guild.channels.cache.get(raw.replace(/^<#(\d+)>$/, "$1")) ?? null;
+  } else if (option.type === OptionType.Role) {
+    const id = raw.replace(/^<@&(\d+)>$/, "$1");
+    value = guild.roles.cache.get(id) ?? guild.roles.cache.find((role) => role.name.toLowerCase() === raw.toLowerCase()) ?? null;
+  }
+  if (value === null) return null;
+
+  if (option.choices) {
+    const wanted = String(value).toLowerCase();
+    const choice = option.choices.find(
+      (candidate) => String(candidate.value).toLowerCase() === wanted || candidate.name.toLowerCase() === wanted
+    );
+    return choice ? choice.value : null;
+  }
+  if (option.min_value !== undefined && value < option.min_value) return null;
+  if (option.max_value !== undefined && value > option.max_value) return null;
+  if (option.max_length !== undefined && value.length > option.max_length) return null;
+  return value;
+}
+
+// Maps message words onto a slash command's options: `name:value` words by name, the rest in order.
+// String options take as many words as the required options after them leave over.
+// Returns { subcommand, values } or { error } with a usage line.
+export function parsePrefixArgs(command, args, message, prefix) {
+  const data = command.data.toJSON();
+  let options = data.options ?? [];
+  let subcommand = null;
+
+  if (options.some((option) => option.type === OptionType.Subcommand)) {
+    const sub = options.find((option) => option.type === OptionType.Subcommand && option.name === args[0]?.toLowerCase());
+    if (!sub) {
+      const names = options.filter((option) => option.type === OptionType.Subcommand).map((option) => option.name);
+      return { error: `Usage: \`${prefix}${data.name} <${names.join("|")}>\`` };
+    }
+    subcommand = sub.name;
+    options = sub.options ?? [];
+    args = args.slice(1);
+  }
+  const usage = usageFor(prefix, data, subcommand, options);
+
+  const raw = {};
+  const positional = [];
+  for (const arg of args) {
+    const named = arg.match(/^(\w+):(.+)$/);
+    const option = named && options.find((candidate) => candidate.name === named[1].toLowerCase());
+    if (option) raw[option.name] = named[2];
+    else positional.push(arg);
+  }
+  const open = options.filter((option) => option.type !== OptionType.Attachment && !(option.name in raw));
+  for (let i = 0; i < open.length && positional.length; i++) {
+    const option = open[i];
+    if (option.type === OptionType.String) {
+      const reserved = open.slice(i + 1).filter((later) => later.required).length;
+      raw[option.name] = positional.splice(0, Math.max(1, positional.length - reserved)).join(" ");
+    } else {
+      raw[option.name] = positional.shift();
+    }
+  }
+  const attachmentOption = options.find((option) => option.type === OptionType.Attachment);
+  if (attachmentOption && message.attachments.size) raw[attachmentOption.name] = message.attachments.first();
+
+  const values = {};
+  for (const option of options) {
+    if (!(option.name in raw)) {
+      if (option.required) return { error: usage };
+      continue;
+    }
+    const value = convertOption(option, raw[option.name], message.guild);
+    if (value === null) return { error: `Invalid value for \`${option.name}\`. ${usage}` };
+    values[option.name] = value;
+  }
+  return { subcommand, values };
+}
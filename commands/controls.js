@@ -0,0 +1,169 @@
+// commands/controls.js — playback controls
+import { SlashCommandBuilder } from "discord.js";
+import {
+  formatDuration,
+  parseTimestamp,
+  pausePlayback,
+  restartCurrentTrack,
+  resumePlayback,
+  scheduleQueueSave,
+  setAutoplay,
+  setLoopMode,
+  skipTrack,
+  stopPlayback,
+  voteSkip,
+} from "../bot.js";
+import { log, trackFields } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder().setName("pause").setDescription("Pause playback"),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      if (pausePlayback(guildId)) {
+        await ctx.reply("Paused");
+      } else {
+        await ctx.reply("Nothing is playing!");
+      }
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("resume").setDescription("Resume playback"),
+    aliases: ["unpause"],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      if (resumePlayback(guildId)) {
+        await ctx.reply("Resumed");
+      } else {
+        await ctx.reply("Not paused!");
+      }
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("skip").setDescription("Skip to next song"),
+    aliases: ["s", "next"],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      if (skipTrack(guildId)) {
+        await ctx.reply("Skipped to next song");
+      } else {
+        await ctx.reply("Nothing is playing!");
+      }
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("voteskip").setDescription("Vote to skip the current song"),
+    aliases: ["vs"],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      const result = voteSkip(guildId, ctx.member);
+      if (result.error) return ctx.reply({ content: result.error, ephemeral: true });
+      if (!result.needed) {
+        await ctx.reply(`⏭️ Skipped ${result.song.title}`);
+      } else if (result.skipped) {
+        await ctx.reply(`⏭️ Vote passed (${result.votes}/${result.needed}), skipping ${result.song.title}`);
+      } else {
+        await ctx.reply(`🗳️ ${ctx.user} voted to skip (${result.votes}/${result.needed} needed)`);
+      }
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("stop").setDescription("Stop playing"),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      if (stopPlayback(guildId)) {
+        await ctx.reply("Stopped playing and cleared the queue.");
+      } else {
+        await ctx.reply("Nothing is playing!");
+      }
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("loop")
+      .setDescription("Set loop mode")
+      .addStringOption((option) =>
+        option.setName("mode").setDescription("Loop mode").setRequired(true)
+        .addChoices(
+          { name: "off", value: "off" },
+          { name: "single", value: "single" },
+          { name: "queue", value: "queue" }
+        )
+      ),
+    aliases: ["repeat"],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      const mode = ctx.options.getString("mode");
+      if (!setLoopMode(guildId, mode))
+        return ctx.reply("Invalid mode: off, single, or queue.");
+      await ctx.reply(`Loop mode set to: ${mode}`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("autoplay")
+      .setDescription("Keep playing related tracks when the queue runs out")
+      .addBooleanOption((option) => option.setName("enabled").setDescription("Turn autoplay on or off (toggles if omitted)")),
+    aliases: ["radio"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const enabled = ctx.options.getBoolean("enabled") ?? !serverQueue.autoplay;
+      setAutoplay(guildId, enabled);
+      await ctx.reply(
+        enabled
+          ? "📻 Autoplay on: related tracks will keep playing when the queue runs out."
+          : "📻 Autoplay off."
+      );
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("volume")
+      .setDescription("Show or set the playback volume")
+      .addIntegerOption((option) =>
+        option.setName("level").setDescription("Volume in percent").setMinValue(0).setMaxValue(200)
+      ),
+    aliases: ["vol"],
+    async execute(ctx) {
+      const { serverQueue } = ctx;
+      const level = ctx.options.getInteger("level");
+      if (level === null) return ctx.reply(`🔊 Volume is ${serverQueue.volume}%`);
+      serverQueue.volume = level;
+      serverQueue.player?.state.resource?.volume?.setVolume(level / 100);
+      scheduleQueueSave();
+      await ctx.reply(`🔊 Volume set to ${level}%`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("seek")
+      .setDescription("Jump to a position in the current track")
+      .addStringOption((option) =>
+        option.setName("position").setDescription("Position as mm:ss or hh:mm:ss").setRequired(true)
+      ),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const song = serverQueue.nowPlaying;
+      if (!song || !serverQueue.currentTrack) return ctx.reply("Nothing is playing!");
+      const seconds = parseTimestamp(ctx.options.getString("position"));
+      if (seconds === null) return ctx.reply("Use a position like 1:23 or 1:02:03.");
+      if (song.duration && seconds >= song.duration) {
+        return ctx.reply(`That's past the end of the track (${formatDuration(song.duration)}).`);
+      }
+
+      await ctx.deferReply();
+      try {
+        const restarted = await restartCurrentTrack(guildId, seconds);
+        await ctx.followUp(
+          restarted ? `⏩ Seeked to ${formatDuration(seconds)}` : "The track changed before the seek finished."
+        );
+      } catch (err) {
+        log.error("Seek failed", { guildId, ...trackFields(song), err });
+        await ctx.followUp(`Seek failed: ${err.message}`);
+      }
+    },
+  },
+];
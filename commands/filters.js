@@ -0,0 +1,75 @@
+// commands/filters.js — audio filters
+import { SlashCommandBuilder } from "discord.js";
+import { filterPresets, defaultFilters, describeFilters } from "../filters.js";
+import { playbackPosition, restartCurrentTrack, scheduleQueueSave } from "../bot.js";
+import { log } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("filter")
+      .setDescription("Audio effects for this server")
+      .addSubcommand((sub) =>
+        sub
+          .setName("preset")
+          .setDescription("Toggle an effect preset")
+          .addStringOption((option) =>
+            option
+              .setName("name")
+              .setDescription("Preset")
+              .setRequired(true)
+              .addChoices(...Object.entries(filterPresets).map(([value, { label }]) => ({ name: label, value })))
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("speed")
+          .setDescription("Change playback speed without changing pitch")
+          .addNumberOption((option) =>
+            option.setName("value").setDescription("1 is normal").setRequired(true).setMinValue(0.5).setMaxValue(2)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("pitch")
+          .setDescription("Change pitch without changing speed")
+          .addNumberOption((option) =>
+            option.setName("value").setDescription("1 is normal").setRequired(true).setMinValue(0.5).setMaxValue(2)
+          )
+      )
+      .addSubcommand((sub) => sub.setName("clear").setDescription("Turn all effects off"))
+      .addSubcommand((sub) => sub.setName("list").setDescription("Show active effects")),
+    aliases: ["fx"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const sub = ctx.options.getSubcommand();
+      const filters = serverQueue.filters;
+      if (sub === "list") {
+        return ctx.reply(`🎛️ Active filters: ${describeFilters(filters)}`);
+      } else if (sub === "preset") {
+        const name = ctx.options.getString("name");
+        filters.presets = filters.presets.includes(name)
+          ? filters.presets.filter((p) => p !== name)
+          : [...filters.presets, name];
+      } else if (sub === "speed") {
+        filters.speed = ctx.options.getNumber("value");
+      } else if (sub === "pitch") {
+        filters.pitch = ctx.options.getNumber("value");
+      } else if (sub === "clear") {
+        serverQueue.filters = defaultFilters();
+      }
+      scheduleQueueSave();
+
+      await ctx.deferReply();
+      const summary = `🎛️ Active filters: ${describeFilters(serverQueue.filters)}`;
+      if (!serverQueue.nowPlaying) return ctx.followUp(summary);
+      try {
+        await restartCurrentTrack(guildId, playbackPosition(serverQueue));
+        await ctx.followUp(summary);
+      } catch (err) {
+        log.error("Failed to apply filters", { guildId, err });
+        await ctx.followUp(`${summary}\n⚠️ Could not apply them to the current song, they start with the next one.`);
+      }
+    },
+  },
+];
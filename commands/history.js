@@ -0,0 +1,59 @@
+// commands/history.js — what has played here: /back, /history and /stats
+import { SlashCommandBuilder } from "discord.js";
+import {
+  connectVoice,
+  entryTitle,
+  historyPage,
+  historyStatsEmbed,
+  playIfIdle,
+  previousEntry,
+  queueChanged,
+} from "../bot.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder().setName("back").setDescription("Replay the previous track"),
+    aliases: ["previous", "prev"],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester } = ctx;
+      if (!ctx.member.voice.channel) return ctx.reply("You are not in a voice channel!");
+      const entry = previousEntry(guildId, requester);
+      if (!entry) return ctx.reply("Nothing has finished playing yet.");
+      if (!serverQueue.connection) connectVoice(serverQueue, ctx.guild, ctx.member.voice.channel.id);
+
+      // The interrupted track stays right behind it and plays again afterwards
+      serverQueue.queue.unshift(entry);
+      if (serverQueue.jump()) queueChanged(guildId);
+      else playIfIdle(guildId, ctx.channel);
+      await ctx.reply(`⏮️ Back to ${entryTitle(entry)}`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("history").setDescription("Show recently played tracks"),
+    aliases: ["hist"],
+    async execute(ctx) {
+      await ctx.reply(historyPage(ctx.guildId, 0));
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("stats")
+      .setDescription("Top tracks, top requesters and listening time for this server")
+      .addStringOption((option) =>
+        option
+          .setName("period")
+          .setDescription("Time range (default: all time)")
+          .addChoices(
+            { name: "last 24 hours", value: "day" },
+            { name: "last 7 days", value: "week" },
+            { name: "last 30 days", value: "month" },
+            { name: "last year", value: "year" },
+            { name: "all time", value: "all" }
+          )
+      ),
+    aliases: [],
+    async execute(ctx) {
+      await ctx.reply({ embeds: [historyStatsEmbed(ctx.guild, ctx.options.getString("period") ?? "all")] });
+    },
+  },
+];
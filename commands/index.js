@@ -0,0 +1,39 @@
+// commands/index.js — every command module; slash registration and prefix lookup both read from here
+import voice from "./voice.js";
+import play from "./play.js";
+import controls from "./controls.js";
+import queue from "./queue.js";
+import history from "./history.js";
+import nowplaying from "./nowplaying.js";
+import lyrics from "./lyrics.js";
+import filters from "./filters.js";
+import wrongsong from "./wrongsong.js";
+import saved from "./saved.js";
+import settings from "./settings.js";
+import cache from "./cache.js";
+
+export const commandModules = [
+  ...voice,
+  ...play,
+  ...controls,
+  ...queue,
+  ...history,
+  ...nowplaying,
+  ...lyrics,
+  ...filters,
+  ...wrongsong,
+  ...saved,
+  ...settings,
+  ...cache,
+];
+
+const commandsByName = new Map();
+for (const command of commandModules) {
+  commandsByName.set(command.data.name, command);
+  for (const alias of command.aliases ?? []) commandsByName.set(alias, command);
+}
+
+// Looks up a command by its name or one of its prefix aliases
+export function findCommand(name) {
+  return commandsByName.get(name) ?? null;
+}
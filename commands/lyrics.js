@@ -0,0 +1,52 @@
+// commands/lyrics.js — lyrics lookup
+import { SlashCommandBuilder } from "discord.js";
+import {
+  LYRICS_SESSION_TTL_MS,
+  findLyrics,
+  followSyncedLyrics,
+  lyricsPage,
+  lyricsRequestFor,
+  lyricsSessions,
+  paginateText,
+} from "../bot.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("lyrics")
+      .setDescription("Show lyrics for the current song or a search")
+      .addStringOption((option) => option.setName("query").setDescription("Artist and title to look up"))
+      .addBooleanOption((option) =>
+        option.setName("sync").setDescription("Follow along with the current song (needs synced lyrics)")
+      ),
+    aliases: ["ly"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const query = ctx.options.getString("query");
+      const follow = ctx.options.getBoolean("sync") ?? false;
+      const song = serverQueue.nowPlaying;
+      if (!query && !song) return ctx.reply("Nothing is playing! Pass a query to look up lyrics.");
+
+      await ctx.deferReply();
+      const lyrics = await findLyrics(query ? { query } : lyricsRequestFor(song));
+      if (!lyrics) return ctx.followUp(`No lyrics found for ${query ?? song.title}.`);
+      if (lyrics.instrumental) return ctx.followUp(`🎼 ${lyrics.artist} - ${lyrics.title} is instrumental.`);
+
+      if (follow && !query && lyrics.synced?.length) {
+        await ctx.followUp(`🎤 Following synced lyrics for ${lyrics.artist} - ${lyrics.title}`);
+        return followSyncedLyrics(guildId, lyrics);
+      }
+
+      const token = ctx.id;
+      const session = {
+        title: `${lyrics.artist} - ${lyrics.title}`,
+        provider: lyrics.provider,
+        pages: paginateText(lyrics.plain),
+      };
+      lyricsSessions.set(token, session);
+      setTimeout(() => lyricsSessions.delete(token), LYRICS_SESSION_TTL_MS);
+      const note = follow && !lyrics.synced?.length ? "No synced lyrics for this one, here are the plain ones." : "";
+      await ctx.followUp({ ...lyricsPage(token, session, 0), content: note });
+    },
+  },
+];
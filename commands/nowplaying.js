@@ -0,0 +1,25 @@
+// commands/nowplaying.js — the now-playing card
+import { SlashCommandBuilder } from "discord.js";
+import { nowPlayingEmbed } from "../bot.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder().setName("nowplaying").setDescription("Show the current track and its progress"),
+    aliases: ["np"],
+    async execute(ctx) {
+      const { serverQueue } = ctx;
+      const song = serverQueue.nowPlaying;
+      if (!song) return ctx.reply("Nothing is playing!");
+      await ctx.reply({ embeds: [nowPlayingEmbed(serverQueue)] });
+
+      // Keep the progress bar moving until the track changes or ten minutes have passed
+      const startedAt = Date.now();
+      const timer = setInterval(() => {
+        if (serverQueue.nowPlaying !== song || Date.now() - startedAt > 10 * 60 * 1000) {
+          return clearInterval(timer);
+        }
+        ctx.editReply({ embeds: [nowPlayingEmbed(serverQueue)] }).catch(() => clearInterval(timer));
+      }, 10000);
+    },
+  },
+];
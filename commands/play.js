@@ -0,0 +1,176 @@
+// commands/play.js — queueing from links, searches and playlists
+import { SlashCommandBuilder } from "discord.js";
+import {
+  SEARCH_TTL_MS,
+  collectionReply,
+  connectVoice,
+  enqueue,
+  isYouTubePlaylistUrl,
+  parseSpotifyUrl,
+  playIfIdle,
+  progressReply,
+  resolveQuery,
+  resolveSpotifyLink,
+  searchMenu,
+  searchResults,
+  settingsFor,
+  ytdlpSearch,
+} from "../bot.js";
+import { log } from "../log.js";
+
+// /play and /playnext share everything but where the entries go
+async function queueQuery(ctx) {
+  const { guildId, serverQueue, requester, commandName } = ctx;
+  if (!ctx.member.voice.channel)
+    return ctx.reply("You are not in a voice channel!");
+  if (!serverQueue.connection) {
+    connectVoice(serverQueue, ctx.guild, ctx.member.voice.channel.id);
+  }
+
+  if (!ctx.replied && !ctx.deferred) {
+    await ctx.deferReply().catch(() => {});
+  }
+
+  const query = ctx.options.getString("query") ?? "";
+  const attachment = ctx.options.getAttachment("file");
+  if (!query && !attachment) return ctx.editReply("Give me a link, a search term or an audio file.");
+  log.info("Queueing", { guildId, command: commandName, query: attachment ? `attachment ${attachment.name}` : query });
+
+  const progress = progressReply(ctx);
+  const resolved = await resolveQuery(query, requester, {
+    attachment,
+    onProgress: progress.onProgress,
+    allowSpotify: settingsFor(guildId).allowSpotify,
+  });
+  if (resolved.error) return progress.send(resolved.error);
+  const { accepted: entries, note, playNext } = enqueue(guildId, resolved.entries, {
+    playNext: commandName === "playnext",
+  });
+  if (entries.length === 0) return progress.send(note ?? "Nothing to add.");
+  const { isPlaylist } = resolved;
+
+  const reply = isPlaylist
+    ? collectionReply({ ...resolved, entries }, { playNext })
+    : `${playNext ? "⏭️ Playing next" : "Added to queue"}: ${entries[0]?.title || 'song'}`;
+  await progress.send(reply);
+  if (note) await ctx.followUp({ content: note, ephemeral: true }).catch(() => {});
+
+  playIfIdle(guildId, ctx.channel);
+}
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("play")
+      .setDescription("Play a song (YouTube, Spotify, SoundCloud, Bandcamp, audio link or file, or search)")
+      .addStringOption((option) =>
+        option.setName("query").setDescription("URL or search term").setAutocomplete(true)
+      )
+      .addAttachmentOption((option) => option.setName("file").setDescription("Audio file to play")),
+    aliases: ["p"],
+    execute: queueQuery,
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("playnext")
+      .setDescription("Queue a song (or playlist) right after the current one")
+      .addStringOption((option) =>
+        option.setName("query").setDescription("URL or search term").setAutocomplete(true)
+      )
+      .addAttachmentOption((option) => option.setName("file").setDescription("Audio file to play")),
+    aliases: ["pn"],
+    execute: queueQuery,
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("search")
+      .setDescription("Search YouTube and pick which result to queue")
+      .addStringOption((option) =>
+        option.setName("query").setDescription("Search term").setRequired(true)
+      )
+      .addIntegerOption((option) =>
+        option.setName("count").setDescription("Number of results (default 5)").setMinValue(1).setMaxValue(10)
+      ),
+    aliases: ["find"],
+    async execute(ctx) {
+      const query = ctx.options.getString("query");
+      const count = ctx.options.getInteger("count") ?? 5;
+      await ctx.deferReply();
+      let results;
+      try {
+        results = await ytdlpSearch(query, count);
+      } catch (err) {
+        return ctx.followUp(`Search failed for: ${query}`);
+      }
+      if (results.length === 0) return ctx.followUp(`No results found for: ${query}`);
+
+      const token = ctx.id;
+      searchResults.set(token, { userId: ctx.user.id, results });
+      setTimeout(() => searchResults.delete(token), SEARCH_TTL_MS);
+      await ctx.followUp({
+        content: `🔎 Results for **${query}**:`,
+        components: [searchMenu(token, results)],
+      });
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("playlist")
+      .setDescription("Add a Spotify playlist, album or artist's top tracks, or a YouTube playlist")
+      .addStringOption((option) =>
+        option.setName("url").setDescription("Spotify or YouTube / YouTube Music playlist URL").setRequired(true)
+      )
+      .addIntegerOption((option) =>
+        option.setName("start").setDescription("Start at this track number (default 1)").setMinValue(1)
+      )
+      .addIntegerOption((option) =>
+        option.setName("limit").setDescription("Maximum number of tracks to add").setMinValue(1)
+      ),
+    aliases: ["pl"],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester } = ctx;
+      // ✅ Ensure user is in a voice channel
+      if (!ctx.member.voice.channel) {
+        return ctx.reply("You must be in a voice channel to use /playlist!");
+      }
+
+      let url = ctx.options.getString("url").trim();
+      log.info("Queueing playlist", { guildId, url });
+
+      if (/^(https?:\/\/)?(spotify\.(link|app\.link))/.test(url)) {
+        url = await resolveSpotifyLink(url);
+        log.debug("Resolved Spotify short link", { guildId, url });
+      }
+
+      const spotifyRef = parseSpotifyUrl(url);
+      if (spotifyRef && !settingsFor(guildId).allowSpotify) {
+        return ctx.reply("Spotify links are disabled on this server.");
+      }
+      const isCollection = spotifyRef ? spotifyRef.kind !== "track" : isYouTubePlaylistUrl(url);
+      if (!isCollection) {
+        return ctx.reply("Provide a Spotify playlist, album or artist URL, or a YouTube playlist URL.");
+      }
+      const start = ctx.options.getInteger("start") ?? 1;
+      const limit = ctx.options.getInteger("limit") ?? undefined;
+
+      // ✅ Auto-join voice channel if needed
+      if (!serverQueue.connection) {
+        connectVoice(serverQueue, ctx.guild, ctx.member.voice.channel.id);
+      }
+
+      if (!ctx.replied && !ctx.deferred) {
+        await ctx.deferReply().catch(() => {});
+      }
+
+      const progress = progressReply(ctx);
+      const resolved = await resolveQuery(url, requester, { start, limit, onProgress: progress.onProgress });
+      if (resolved.error) return progress.send(resolved.error);
+
+      const { accepted, note } = enqueue(guildId, resolved.entries);
+      if (accepted.length === 0) return progress.send(note ?? "That playlist is empty.");
+      await progress.send(collectionReply({ ...resolved, entries: accepted }));
+      if (note) await ctx.followUp({ content: note, ephemeral: true }).catch(() => {});
+      playIfIdle(guildId, ctx.channel);
+    },
+  },
+];
@@ -0,0 +1,149 @@
+// commands/queue.js — viewing and editing the queue
+import { SlashCommandBuilder } from "discord.js";
+import {
+  canManageQueue,
+  entryKey,
+  entryTitle,
+  moveEntry,
+  parseRange,
+  queueChanged,
+  queuePage,
+  shuffleQueue,
+} from "../bot.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder().setName("queue").setDescription("Show current queue"),
+    aliases: ["q"],
+    async execute(ctx) {
+      const { serverQueue } = ctx;
+      if (serverQueue.queue.length === 0) return ctx.reply("Queue is empty!");
+      await ctx.reply(queuePage(serverQueue, 0));
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("remove")
+      .setDescription("Remove tracks from the queue (non-DJs can only remove their own)")
+      .addStringOption((option) =>
+        option.setName("position").setDescription("Position or range, e.g. 3 or 3-7").setRequired(true)
+      ),
+    aliases: ["rm"],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester } = ctx;
+      const range = parseRange(ctx.options.getString("position"));
+      const last = serverQueue.queue.length - 1;
+      if (!range || range[0] < 1 || range[1] > last) {
+        return ctx.reply(last > 0 ? `Pick positions between 1 and ${last}, e.g. 3 or 3-7.` : "Queue is empty!");
+      }
+      const targets = serverQueue.queue.slice(range[0], range[1] + 1);
+      if (!canManageQueue(ctx.member) && targets.some((entry) => entry.requester?.id !== requester.id)) {
+        return ctx.reply({ content: "You can only remove tracks you queued yourself.", ephemeral: true });
+      }
+      const removed = serverQueue.queue.splice(range[0], range[1] - range[0] + 1);
+      queueChanged(guildId);
+      await ctx.reply(
+        removed.length === 1
+          ? `🗑️ Removed: ${entryTitle(removed[0])}`
+          : `🗑️ Removed ${removed.length} tracks (${range[0]}-${range[1]}).`
+      );
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("move")
+      .setDescription("Move a track to another position")
+      .addIntegerOption((option) =>
+        option.setName("from").setDescription("Current position").setRequired(true).setMinValue(1)
+      )
+      .addIntegerOption((option) =>
+        option.setName("to").setDescription("New position").setRequired(true).setMinValue(1)
+      ),
+    aliases: ["mv"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const to = ctx.options.getInteger("to");
+      const entry = moveEntry(guildId, ctx.options.getInteger("from"), to);
+      if (!entry) {
+        const last = serverQueue.queue.length - 1;
+        return ctx.reply(last > 0 ? `Pick positions between 1 and ${last}.` : "Queue is empty!");
+      }
+      await ctx.reply(`↕️ Moved ${entryTitle(entry)} to position ${to}.`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("shuffle").setDescription("Shuffle the upcoming tracks"),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      const shuffled = shuffleQueue(guildId);
+      if (!shuffled) return ctx.reply("Not enough tracks to shuffle!");
+      await ctx.reply(`🔀 Shuffled ${shuffled} tracks.`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("skipto")
+      .setDescription("Skip straight to a position in the queue")
+      .addIntegerOption((option) =>
+        option.setName("position").setDescription("Queue position").setRequired(true).setMinValue(1)
+      ),
+    aliases: ["jump"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const index = ctx.options.getInteger("position");
+      const last = serverQueue.queue.length - 1;
+      if (!serverQueue.nowPlaying || !serverQueue.player) return ctx.reply("Nothing is playing!");
+      if (index < 1 || index > last) {
+        return ctx.reply(last > 0 ? `Pick a position between 1 and ${last}.` : "Queue is empty!");
+      }
+      // In loop "queue" mode the skipped entries (current one included) go round again, in order
+      const skipped = serverQueue.queue.splice(0, index);
+      if (serverQueue.loop === "queue") serverQueue.queue.push(...skipped);
+      serverQueue.jump();
+      queueChanged(guildId);
+      await ctx.reply(`⏭️ Skipping to ${entryTitle(serverQueue.queue[0])}`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("clear")
+      .setDescription("Clear the queue but keep the current song (non-DJs clear only their own tracks)"),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester } = ctx;
+      if (!canManageQueue(ctx.member)) {
+        const [current, ...upcoming] = serverQueue.queue;
+        const kept = upcoming.filter((entry) => entry.requester?.id !== requester.id);
+        const removed = upcoming.length - kept.length;
+        if (!removed) return ctx.reply({ content: "You have nothing queued after the current song.", ephemeral: true });
+        serverQueue.queue = [current, ...kept];
+        queueChanged(guildId);
+        return ctx.reply(`🧹 Cleared your ${removed} upcoming tracks.`);
+      }
+      const removed = serverQueue.queue.splice(1);
+      queueChanged(guildId);
+      await ctx.reply(
+        removed.length ? `🧹 Cleared ${removed.length} upcoming tracks.` : "Nothing queued after the current song."
+      );
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("dedupe").setDescription("Remove duplicate tracks from the queue"),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      const seen = new Set();
+      const before = serverQueue.queue.length;
+      serverQueue.queue = serverQueue.queue.filter((entry, i) => {
+        const key = entryKey(entry);
+        if (seen.has(key)) return i === 0;
+        seen.add(key);
+        return true;
+      });
+      queueChanged(guildId);
+      const removed = before - serverQueue.queue.length;
+      await ctx.reply(removed ? `🧹 Removed ${removed} duplicate tracks.` : "No duplicates in the queue.");
+    },
+  },
+];
@@ -0,0 +1,142 @@
+// commands/saved.js — saved server playlists
+import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+import {
+  accessDenied,
+  admitEntries,
+  canManageSaved,
+  connectVoice,
+  deleteSavedPlaylist,
+  enqueue,
+  formatDuration,
+  getSavedPlaylist,
+  playIfIdle,
+  queueChanged,
+  saveQueueAs,
+  savedPlaylistDuration,
+  savedPlaylistEmbed,
+  savedPlaylists,
+  settingsFor,
+} from "../bot.js";
+import { log } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("saved")
+      .setDescription("Playlists saved on this server")
+      .addSubcommand((sub) =>
+        sub
+          .setName("save")
+          .setDescription("Save the current queue")
+          .addStringOption((option) =>
+            option.setName("name").setDescription("Playlist name").setRequired(true).setMaxLength(50)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("load")
+          .setDescription("Queue a saved playlist")
+          .addStringOption((option) =>
+            option.setName("name").setDescription("Playlist name").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("mode")
+              .setDescription("Add to the queue or replace it (default: append)")
+              .addChoices({ name: "append", value: "append" }, { name: "replace", value: "replace" })
+          )
+      )
+      .addSubcommand((sub) => sub.setName("list").setDescription("List saved playlists"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("show")
+          .setDescription("Show the tracks in a saved playlist")
+          .addStringOption((option) =>
+            option.setName("name").setDescription("Playlist name").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("delete")
+          .setDescription("Delete a saved playlist")
+          .addStringOption((option) =>
+            option.setName("name").setDescription("Playlist name").setRequired(true).setAutocomplete(true)
+          )
+      ),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester, subcommand } = ctx;
+      const name = ctx.options.getString("name");
+      if (subcommand === "list") {
+        const playlists = Object.values(savedPlaylists[guildId] ?? {}).sort((a, b) => a.name.localeCompare(b.name));
+        if (playlists.length === 0) return ctx.reply("No saved playlists yet. Use /saved save to create one.");
+        const lines = playlists.slice(0, 25).map(
+          (playlist) =>
+            `**${playlist.name}** · ${playlist.entries.length} tracks · ${formatDuration(savedPlaylistDuration(playlist))} · <@${playlist.ownerId}>`
+        );
+        if (playlists.length > 25) lines.push(`…and ${playlists.length - 25} more`);
+        const embed = new EmbedBuilder()
+          .setColor(0x1db954)
+          .setTitle(`💾 Saved playlists on ${ctx.guild.name}`)
+          .setDescription(lines.join("\n"));
+        return ctx.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+      }
+
+      if (subcommand === "save") {
+        if (serverQueue.queue.length === 0) return ctx.reply("Queue is empty, nothing to save!");
+        const existing = getSavedPlaylist(guildId, name);
+        if (existing && !canManageSaved(ctx.member, existing)) {
+          return ctx.reply({ content: `**${existing.name}** belongs to ${existing.ownerName}, pick another name.`, ephemeral: true });
+        }
+        const { entries, updated } = saveQueueAs(guildId, name, serverQueue, requester);
+        log.info("Saved playlist", { guildId, playlist: name, entries: entries.length });
+        return ctx.reply(`💾 ${updated ? "Updated" : "Saved"} **${name.trim()}** with ${entries.length} tracks.`);
+      }
+
+      const playlist = getSavedPlaylist(guildId, name);
+      if (!playlist) return ctx.reply({ content: `No saved playlist called **${name}**.`, ephemeral: true });
+
+      if (subcommand === "show") {
+        await ctx.reply({ embeds: [savedPlaylistEmbed(playlist)] });
+      } else if (subcommand === "delete") {
+        if (!canManageSaved(ctx.member, playlist)) {
+          return ctx.reply({ content: `Only ${playlist.ownerName} or a server manager can delete **${playlist.name}**.`, ephemeral: true });
+        }
+        deleteSavedPlaylist(guildId, name);
+        await ctx.reply(`🗑️ Deleted saved playlist **${playlist.name}**.`);
+      } else if (subcommand === "load") {
+        if (!ctx.member.voice.channel) {
+          return ctx.reply("You must be in a voice channel to load a playlist!");
+        }
+        const replace = ctx.options.getString("mode") === "replace";
+        if (replace) {
+          // Replacing wipes the queue, so it follows the same rule as /stop
+          const denied = accessDenied(ctx.member, serverQueue, "stop");
+          if (denied) return ctx.reply({ content: denied, ephemeral: true });
+        }
+        if (!settingsFor(guildId).allowSpotify && playlist.entries.some((entry) => entry.type === "spotify")) {
+          return ctx.reply("Spotify links are disabled on this server, and this playlist still has unresolved Spotify tracks.");
+        }
+
+        // ✅ Auto-join voice channel if needed
+        if (!serverQueue.connection) {
+          connectVoice(serverQueue, ctx.guild, ctx.member.voice.channel.id);
+        }
+
+        const loaded = playlist.entries.map((entry) => ({ ...entry, requester }));
+        const { accepted, note } = replace ? admitEntries(guildId, { queue: [] }, loaded) : enqueue(guildId, loaded);
+        if (accepted.length === 0) return ctx.reply(note ?? "That playlist is empty.");
+
+        if (replace) serverQueue.queue = accepted;
+        // Same hand-off as /skipto: whatever is playing or still loading gives way to queue[0]
+        if (replace && serverQueue.jump()) queueChanged(guildId);
+        else playIfIdle(guildId, ctx.channel);
+        log.info("Loaded saved playlist", { guildId, playlist: playlist.name, entries: accepted.length });
+        await ctx.reply(
+          `💾 ${replace ? "Replaced the queue with" : "Added"} ${accepted.length} tracks from **${playlist.name}**.`
+        );
+        if (note) await ctx.followUp({ content: note, ephemeral: true }).catch(() => {});
+      }
+    },
+  },
+];
@@ -0,0 +1,188 @@
+// commands/settings.js — per-server configuration
+import { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } from "discord.js";
+import {
+  defaultSettings,
+  describeSettings,
+  parseTimestamp,
+  persistenceOptOut,
+  updateSettings,
+  writeQueueState,
+} from "../bot.js";
+import { log } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("settings")
+      .setDescription("Configure the bot for this server")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((sub) => sub.setName("show").setDescription("Show the current settings"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("set")
+          .setDescription("Change one or more settings")
+          .addIntegerOption((option) =>
+            option.setName("volume").setDescription("Default volume in percent").setMinValue(0).setMaxValue(200)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("loop")
+              .setDescription("Default loop mode")
+              .addChoices(
+                { name: "off", value: "off" },
+                { name: "single", value: "single" },
+                { name: "queue", value: "queue" }
+              )
+          )
+          .addChannelOption((option) =>
+            option
+              .setName("announce_channel")
+              .setDescription("Post now-playing and status messages here")
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          )
+          .addIntegerOption((option) =>
+            option.setName("max_queue").setDescription("Max queued entries, 0 for unlimited").setMinValue(0)
+          )
+          .addStringOption((option) =>
+            option.setName("max_duration").setDescription("Longest track allowed, e.g. 10:00; 0 for unlimited")
+          )
+          .addIntegerOption((option) =>
+            option.setName("max_per_user").setDescription("Max upcoming tracks per person, 0 for unlimited").setMinValue(0)
+          )
+          .addStringOption((option) =>
+            option.setName("max_user_duration").setDescription("Max queued time per person, e.g. 30:00; 0 for unlimited")
+          )
+          .addBooleanOption((option) =>
+            option.setName("fair_queue").setDescription("Take turns between requesters instead of first come, first served")
+          )
+          .addBooleanOption((option) => option.setName("spotify").setDescription("Allow Spotify links"))
+          .addIntegerOption((option) =>
+            option
+              .setName("idle_timeout")
+              .setDescription("Minutes to wait with nothing playing before leaving, 0 to stay")
+              .setMinValue(0)
+              .setMaxValue(1440)
+          )
+          .addRoleOption((option) => option.setName("dj_role").setDescription("Role allowed to manage playback"))
+          .addIntegerOption((option) =>
+            option
+              .setName("vote_percent")
+              .setDescription("Share of listeners needed to vote-skip")
+              .setMinValue(1)
+              .setMaxValue(100)
+          )
+          .addStringOption((option) =>
+            option.setName("prefix").setDescription("Prefix for text commands, e.g. ! or ?").setMaxLength(5)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reset")
+          .setDescription("Restore a setting to its default")
+          .addStringOption((option) =>
+            option
+              .setName("setting")
+              .setDescription("Setting to reset")
+              .setRequired(true)
+              .addChoices(
+                { name: "all", value: "all" },
+                { name: "volume", value: "volume" },
+                { name: "loop", value: "loop" },
+                { name: "announce_channel", value: "announceChannelId" },
+                { name: "max_queue", value: "maxQueueLength" },
+                { name: "max_duration", value: "maxTrackDuration" },
+                { name: "max_per_user", value: "maxUserEntries" },
+                { name: "max_user_duration", value: "maxUserDuration" },
+                { name: "fair_queue", value: "fairQueue" },
+                { name: "spotify", value: "allowSpotify" },
+                { name: "idle_timeout", value: "idleTimeout" },
+                { name: "dj_role", value: "djRole" },
+                { name: "vote_percent", value: "voteSkipPercent" },
+                { name: "prefix", value: "prefix" }
+              )
+          )
+      ),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      const sub = ctx.options.getSubcommand();
+      if (sub === "set") {
+        const changes = {};
+        const volume = ctx.options.getInteger("volume");
+        const loop = ctx.options.getString("loop");
+        const announceChannel = ctx.options.getChannel("announce_channel");
+        const maxQueue = ctx.options.getInteger("max_queue");
+        const maxDuration = ctx.options.getString("max_duration");
+        const maxPerUser = ctx.options.getInteger("max_per_user");
+        const maxUserDuration = ctx.options.getString("max_user_duration");
+        const fairQueue = ctx.options.getBoolean("fair_queue");
+        const spotify = ctx.options.getBoolean("spotify");
+        const idleMinutes = ctx.options.getInteger("idle_timeout");
+        const djRole = ctx.options.getRole("dj_role");
+        const votePercent = ctx.options.getInteger("vote_percent");
+        const prefix = ctx.options.getString("prefix");
+
+        if (volume !== null) changes.volume = volume;
+        if (loop !== null) changes.loop = loop;
+        if (announceChannel) changes.announceChannelId = announceChannel.id;
+        if (maxQueue !== null) changes.maxQueueLength = maxQueue;
+        if (maxDuration !== null) {
+          const seconds = parseTimestamp(maxDuration);
+          if (seconds === null) return ctx.reply({ content: "Use a duration like 10:00 or 1:30:00 (0 for unlimited).", ephemeral: true });
+          changes.maxTrackDuration = seconds;
+        }
+        if (maxPerUser !== null) changes.maxUserEntries = maxPerUser;
+        if (maxUserDuration !== null) {
+          const seconds = parseTimestamp(maxUserDuration);
+          if (seconds === null) return ctx.reply({ content: "Use a duration like 30:00 or 1:30:00 (0 for unlimited).", ephemeral: true });
+          changes.maxUserDuration = seconds;
+        }
+        if (fairQueue !== null) changes.fairQueue = fairQueue;
+        if (spotify !== null) changes.allowSpotify = spotify;
+        if (idleMinutes !== null) changes.idleTimeout = idleMinutes * 60;
+        if (djRole) changes.djRole = djRole.id;
+        if (votePercent !== null) changes.voteSkipPercent = votePercent;
+        if (prefix !== null) {
+          if (/\s/.test(prefix)) return ctx.reply({ content: "The prefix can't contain spaces.", ephemeral: true });
+          changes.prefix = prefix;
+        }
+        if (Object.keys(changes).length === 0) {
+          return ctx.reply({ content: "Pass at least one setting to change.", ephemeral: true });
+        }
+        updateSettings(guildId, changes);
+      } else if (sub === "reset") {
+        const key = ctx.options.getString("setting");
+        const keys = key === "all" ? Object.keys(defaultSettings) : [key];
+        updateSettings(guildId, Object.fromEntries(keys.map((k) => [k, undefined])));
+      }
+      if (sub !== "show") log.info("Settings updated", { guildId, user: ctx.user.tag });
+      const embed = new EmbedBuilder()
+        .setColor(0x1db954)
+        .setTitle(`⚙️ Settings for ${ctx.guild.name}`)
+        .setDescription(describeSettings(guildId));
+      await ctx.reply({ embeds: [embed], ephemeral: sub === "show" });
+    },
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName("persistence")
+      .setDescription("Keep this server's queue across bot restarts")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addBooleanOption((option) =>
+        option.setName("enabled").setDescription("Save and resume the queue").setRequired(true)
+      ),
+    aliases: [],
+    async execute(ctx) {
+      const { guildId } = ctx;
+      const enabled = ctx.options.getBoolean("enabled");
+      if (enabled) persistenceOptOut.delete(guildId);
+      else persistenceOptOut.add(guildId);
+      writeQueueState();
+      await ctx.reply(
+        enabled
+          ? "💾 This server's queue will be restored after bot restarts."
+          : "🗑️ This server's queue will no longer be saved across restarts."
+      );
+    },
+  },
+];
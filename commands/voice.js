@@ -0,0 +1,30 @@
+// commands/voice.js — join, leave
+import { SlashCommandBuilder } from "discord.js";
+import { connectVoice, leaveGuild } from "../bot.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder().setName("join").setDescription("Join the voice channel"),
+    aliases: ["summon"],
+    async execute(ctx) {
+      const { serverQueue } = ctx;
+      if (!ctx.member.voice.channel)
+        return ctx.reply("You are not in a voice channel!");
+      connectVoice(serverQueue, ctx.guild, ctx.member.voice.channel.id);
+      await ctx.reply(`Joined ${ctx.member.voice.channel.name}`);
+    },
+  },
+  {
+    data: new SlashCommandBuilder().setName("leave").setDescription("Leave the voice channel"),
+    aliases: ["dc", "disconnect"],
+    async execute(ctx) {
+      const { guildId, serverQueue } = ctx;
+      if (serverQueue.connection) {
+        leaveGuild(guildId);
+        await ctx.reply("Left the voice channel");
+      } else {
+        await ctx.reply("I'm not in a voice channel!");
+      }
+    },
+  },
+];
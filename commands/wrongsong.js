@@ -0,0 +1,43 @@
+// commands/wrongsong.js — correcting Spotify matches
+import { SlashCommandBuilder } from "discord.js";
+import { correctSpotifyMatch, queueChanged, spotifyResolved } from "../bot.js";
+import { log, trackFields } from "../log.js";
+
+export default [
+  {
+    data: new SlashCommandBuilder()
+      .setName("wrongsong")
+      .setDescription("The YouTube match for this Spotify track is wrong, try the next-best one"),
+    aliases: ["ws"],
+    async execute(ctx) {
+      const { guildId, serverQueue, requester } = ctx;
+      const song = serverQueue.nowPlaying;
+      if (!song || !serverQueue.player) return ctx.reply("Nothing is playing!");
+      if (!song.spotify) return ctx.reply({ content: "/wrongsong only works for tracks queued from Spotify.", ephemeral: true });
+      await ctx.deferReply();
+      let correction;
+      try {
+        correction = await correctSpotifyMatch(song);
+      } catch (err) {
+        log.error("Match correction failed", { guildId, ...trackFields(song), err });
+        return ctx.editReply(`Couldn't look for other versions: ${err.message}`);
+      }
+      if (!correction) return ctx.editReply("No other candidates left for this track.");
+      if (serverQueue.nowPlaying !== song) return ctx.editReply("The track changed in the meantime; the correction is saved for next time.");
+
+      // Same hand-off as /skipto: the guild player starts whatever sits at queue[0]
+      serverQueue.queue[0] = spotifyResolved({ ...song.spotify, spotifyId: song.spotify.id, requester: song.requester }, correction.match);
+      serverQueue.jump();
+      queueChanged(guildId);
+      log.info("Spotify match corrected", {
+        guildId,
+        user: ctx.user.tag,
+        spotify: `${song.spotify.artist} - ${song.spotify.title}`,
+        ...trackFields(correction.match),
+      });
+      await ctx.editReply(
+        `🎯 Switching to **${correction.match.title}** (candidate ${correction.rank}/${correction.total}). I'll use it for this track from now on.`
+      );
+    },
+  },
+];
@@ -0,0 +1,50 @@
+// filters.js — audio filter presets and the ffmpeg graphs they build
+// Evaluated before bot.js runs dotenv.config(), so load .env here too
+import "dotenv/config";
+import fs from "fs";
+import { log } from "./log.js";
+
+// Graphs run at 48 kHz so asetrate-based presets shift speed and pitch by the same factor on any source.
+// `speed` is how fast the preset plays the source, used to keep the playback position honest.
+export const filterPresets = {
+  bassboost: { label: "Bass boost", graph: "bass=g=10:f=110:w=0.6" },
+  nightcore: { label: "Nightcore", graph: "aresample=48000,asetrate=60000,aresample=48000", speed: 1.25 },
+  vaporwave: { label: "Vaporwave", graph: "aresample=48000,asetrate=38400,aresample=48000", speed: 0.8 },
+  "8d": { label: "8D", graph: "apulsator=hz=0.08" },
+  karaoke: { label: "Karaoke", graph: "stereotools=mlev=0.03" },
+  normalize: { label: "Loudness normalization", graph: "loudnorm=I=-16:TP=-1.5:LRA=11" },
+};
+
+// Extra or overridden presets: { "name": { "label": "...", "graph": "...", "speed": 1 } }
+if (process.env.AUDIO_FILTERS_FILE) {
+  try {
+    Object.assign(filterPresets, JSON.parse(fs.readFileSync(process.env.AUDIO_FILTERS_FILE, "utf8")));
+  } catch (e) {
+    log.error("Failed to load audio filter presets", { file: process.env.AUDIO_FILTERS_FILE, err: e });
+  }
+}
+
+export function defaultFilters() {
+  return { presets: [], speed: 1, pitch: 1 };
+}
+
+export function buildFilterGraph(filters) {
+  const parts = filters.presets.filter((name) => filterPresets[name]).map((name) => filterPresets[name].graph);
+  if (filters.pitch !== 1) {
+    const rate = Math.round(48000 * filters.pitch);
+    parts.push(`aresample=48000,asetrate=${rate},aresample=48000,atempo=${(1 / filters.pitch).toFixed(4)}`);
+  }
+  if (filters.speed !== 1) parts.push(`atempo=${filters.speed}`);
+  return parts.join(",");
+}
+
+export function filterSpeed(filters) {
+  return filters.presets.reduce((speed, name) => speed * (filterPresets[name]?.speed ?? 1), filters.speed);
+}
+
+export function describeFilters(filters) {
+  const active = filters.presets.map((name) => filterPresets[name]?.label ?? name);
+  if (filters.speed !== 1) active.push(`Speed ×${filters.speed}`);
+  if (filters.pitch !== 1) active.push(`Pitch ×${filters.pitch}`);
+  return active.length ? active.join(", ") : "none";
+}
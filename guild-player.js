@@ -0,0 +1,304 @@
+// guild-player.js — one guild's playback: queue, voice connection, audio player and the track being played
+import { EventEmitter } from "events";
+import { AudioPlayerStatus, VoiceConnectionStatus } from "@discordjs/voice";
+
+export const PlayerState = {
+  Idle: "idle", // nothing playing or about to
+  Resolving: "resolving", // turning queue[0] into something playable, e.g. a Spotify track into a YouTube video
+  Loading: "loading", // downloading or opening the stream
+  Playing: "playing",
+  Paused: "paused",
+};
+
+// Resolves after `ms`, or as soon as `signal` aborts
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+// Everything outside this class talks to a guild's playback through these methods and events.
+//
+// `deps` is where the real work happens, so tests can swap in fakes; `player` is this GuildPlayer:
+//   createPlayer()                → an AudioPlayer (or anything with play/stop/pause/unpause/state and its events)
+//   claim(entry, signal, player)  → { song, track } prepared ahead of time for this entry, or null
+//   resolve(entry, signal, player) → the playable song for an entry (the entry itself if nothing to do)
+// The async ones should give up promptly once `signal` aborts; that is what makes skipping a load quick.
+//   load(song, signal, player)    → a track; errors with `permanent: true` are not retried
+//   open(track, offset, player)   → an audio resource starting `offset` seconds in
+//   dispose(track)                → frees the track's processes and temp files
+//   cleanup()                     → removes whatever temp files the guild still has
+//   maxRetries, retryDelayMs
+//
+// Events:
+//   state (state, previous)       every transition
+//   trackStart (song, { resource, repeat })
+//   trackEnd (song, { skipped, failed })
+//   loadRetry (song, attempt, err)
+//   loadFailed (entry, reason, err) reason: "resolve" | "blocked" | "retries" | "resource"
+//   trackError (song, err)        the player failed mid-track; trackEnd follows
+//   queueEnd ()                   the queue ran out, not after stop()
+export class GuildPlayer extends EventEmitter {
+  #deps;
+  #transitions = Promise.resolve();
+  #loading = null; // AbortController of the load in flight
+  #current = null; // the queue entry being loaded or played, to tell it from entries queued after a stop
+  #playing = null; // the song whose resource is on the player
+  #finished = null; // the song that just ended, to tell a loop repeat from a new track
+  #endReason = null; // why the player is about to go idle: "skipped" or "failed"
+  #stopped = false;
+  #destroyed = false;
+
+  constructor(guildId, deps, { loop = "off", volume = 100, filters = null } = {}) {
+    super();
+    this.#deps = { maxRetries: 3, retryDelayMs: 2000, claim: async () => null, cleanup: () => {}, ...deps };
+    this.guildId = guildId;
+    this.state = PlayerState.Idle;
+    this.queue = []; // queue[0] is the current entry
+    this.nowPlaying = null;
+    this.loop = loop;
+    this.volume = volume;
+    this.filters = filters;
+    this.connection = null;
+    this.player = null;
+    this.currentTrack = null;
+    this.playbackOffset = 0;
+    this.playbackSpeed = 1;
+    this.startOffset = 0; // where the next track starts, for restored queues
+    this.jumped = false; // queue[0] was replaced and should play without advancing
+  }
+
+  get destroyed() {
+    return this.#destroyed;
+  }
+
+  // Creates the audio player on first use; its listeners are attached exactly once
+  ensurePlayer() {
+    if (this.player) return this.player;
+    this.player = this.#deps.createPlayer();
+    this.player.on("stateChange", (oldState, newState) => this.#onPlayerState(newState));
+    this.player.on("error", (err) => {
+      this.#endReason = "failed";
+      this.emit("trackError", this.#playing, err);
+    });
+    return this.player;
+  }
+
+  // Starts queue[0] if nothing is playing or loading; returns false when there was nothing to do
+  play() {
+    if (this.#destroyed || this.state !== PlayerState.Idle || this.queue.length === 0 || !this.player) return false;
+    // Claim the slot before anything async, so a second call right behind this one is a no-op
+    this.#setState(PlayerState.Loading);
+    this.#serialize(() => this.#startNext());
+    return true;
+  }
+
+  // Moves past the current entry, whether it is playing or still loading
+  skip() {
+    if (this.state === PlayerState.Playing || this.state === PlayerState.Paused) {
+      this.#endReason = "skipped";
+      // Forced, so the track ends now: an unforced stop only drains silence, and not at all while paused
+      this.player.stop(true);
+      return true;
+    }
+    // Between two tracks there is nothing to abort yet; the pending transition moves on anyway
+    this.#loading?.abort();
+    return this.state !== PlayerState.Idle;
+  }
+
+  // Plays queue[0] right away without advancing; callers put the new entry there first.
+  // Returns false when nothing is playing or loading, so the caller starts playback itself.
+  jump() {
+    if (this.state === PlayerState.Idle) return false;
+    this.jumped = true;
+    return this.skip();
+  }
+
+  // Clears the queue and stops whatever is playing or loading
+  stop() {
+    if (!this.player) return false;
+    this.queue = [];
+    this.jumped = false;
+    this.nowPlaying = null;
+    this.#stopped = this.skip();
+    return true;
+  }
+
+  pause() {
+    if (this.state !== PlayerState.Playing) return false;
+    return this.player.pause();
+  }
+
+  resume() {
+    if (this.state !== PlayerState.Paused) return false;
+    return this.player.unpause();
+  }
+
+  // Tears everything down; the instance is done afterwards
+  destroy() {
+    if (this.#destroyed) return;
+    this.#destroyed = true;
+    this.queue = [];
+    this.#loading?.abort();
+    this.#releaseTrack();
+    try { this.player?.stop(true); } catch (e) {}
+    if (this.connection && this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      try { this.connection.destroy(); } catch (e) {}
+    }
+    this.#deps.cleanup();
+    this.nowPlaying = null;
+    this.#setState(PlayerState.Idle);
+  }
+
+  // Transitions run one at a time, in order; a failing one doesn't block the next
+  #serialize(task) {
+    const run = this.#transitions.then(task);
+    this.#transitions = run.catch((err) => this.emit("error", err));
+    return run;
+  }
+
+  #setState(state) {
+    if (this.state === state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit("state", state, previous);
+  }
+
+  #onPlayerState(newState) {
+    if (this.#destroyed) return;
+    const active = this.state === PlayerState.Playing || this.state === PlayerState.Paused;
+    if (newState.status === AudioPlayerStatus.Idle && active) this.#onTrackEnd();
+    else if (newState.status === AudioPlayerStatus.Paused && this.state === PlayerState.Playing) this.#setState(PlayerState.Paused);
+    else if (newState.status === AudioPlayerStatus.Playing && this.state === PlayerState.Paused) this.#setState(PlayerState.Playing);
+  }
+
+  #onTrackEnd() {
+    const song = this.#playing;
+    const reason = this.#endReason ?? "ended";
+    this.#endReason = null;
+    this.#playing = null;
+    this.#finished = song;
+    this.#releaseTrack();
+    this.#setState(PlayerState.Loading);
+    this.emit("trackEnd", song, { skipped: reason === "skipped" || this.jumped, failed: reason === "failed" });
+    this.#serialize(async () => {
+      this.#advance(reason);
+      await this.#startNext();
+    });
+  }
+
+  // Works out what queue[0] should be after the current entry is done with
+  #advance(reason) {
+    this.nowPlaying = null;
+    if (this.jumped) {
+      this.jumped = false;
+      return;
+    }
+    if (reason === "ended" && this.loop === "single") return;
+    // After stop() queue[0] is whatever was queued since, and that hasn't played yet
+    if (this.queue.length === 0 || this.queue[0] !== this.#current) return;
+    const finished = this.queue.shift();
+    if (reason !== "failed" && this.loop === "queue") this.queue.push(finished);
+  }
+
+  // Plays the first entry that loads, dropping the ones that don't
+  async #startNext() {
+    while (this.queue.length > 0 && !this.#destroyed) {
+      this.#stopped = false; // anything queued after a stop plays, and ends the queue as usual
+      const controller = new AbortController();
+      this.#loading = controller;
+      let outcome;
+      try {
+        outcome = await this.#load(this.queue[0], controller.signal);
+      } finally {
+        this.#loading = null;
+      }
+      if (outcome === "started") return;
+      this.#advance(outcome === "cancelled" ? "skipped" : "failed");
+    }
+    const stopped = this.#stopped;
+    this.#stopped = false;
+    this.#finished = null;
+    this.nowPlaying = null;
+    this.#setState(PlayerState.Idle);
+    if (!this.#destroyed && !stopped) this.emit("queueEnd");
+  }
+
+  // "started", "cancelled" (skip or stop while loading) or "failed"
+  async #load(entry, signal) {
+    this.jumped = false; // whatever a jump put at queue[0] is what's loading now
+    this.#current = entry;
+    const offset = this.startOffset;
+    this.startOffset = 0;
+    const repeat = entry === this.#finished;
+    this.#finished = null;
+    const failed = (reason, err, song = entry) => {
+      this.emit("loadFailed", song, reason, err);
+      return "failed";
+    };
+
+    this.#setState(PlayerState.Resolving);
+    const claimed = await this.#deps.claim(entry, signal, this);
+    let track = claimed?.track ?? null;
+    if (signal.aborted) {
+      this.#deps.dispose(track);
+      return "cancelled";
+    }
+    let song;
+    try {
+      song = await this.#deps.resolve(claimed?.song ?? entry, signal, this);
+    } catch (err) {
+      this.#deps.dispose(track);
+      return signal.aborted ? "cancelled" : failed("resolve", err);
+    }
+    if (signal.aborted) {
+      this.#deps.dispose(track);
+      return "cancelled";
+    }
+    if (this.queue[0] === entry) this.queue[0] = this.#current = song;
+    this.nowPlaying = song;
+
+    this.#setState(PlayerState.Loading);
+    for (let attempt = 1; !track; attempt++) {
+      try {
+        track = await this.#deps.load(song, signal, this);
+      } catch (err) {
+        if (signal.aborted) return "cancelled";
+        if (err.permanent) return failed("blocked", err, song);
+        if (attempt >= this.#deps.maxRetries) return failed("retries", err, song);
+        this.emit("loadRetry", song, attempt, err);
+        await wait(this.#deps.retryDelayMs, signal);
+        if (signal.aborted) return "cancelled";
+      }
+    }
+
+    let resource;
+    try {
+      resource = await this.#deps.open(track, offset, this);
+    } catch (err) {
+      this.#deps.dispose(track);
+      return signal.aborted ? "cancelled" : failed("resource", err, song);
+    }
+    if (signal.aborted) {
+      this.#deps.dispose(track);
+      return "cancelled";
+    }
+
+    this.currentTrack = track;
+    this.playbackOffset = offset;
+    this.#playing = song;
+    this.player.play(resource);
+    this.#setState(PlayerState.Playing);
+    this.emit("trackStart", song, { resource, repeat });
+    return "started";
+  }
+
+  #releaseTrack() {
+    const track = this.currentTrack;
+    this.currentTrack = null;
+    this.#deps.dispose(track);
+  }
+}
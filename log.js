@@ -0,0 +1,37 @@
+// log.js — leveled, structured logging: one JSON object per line, or readable lines with LOG_FORMAT=text
+import "dotenv/config";
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = levels[process.env.LOG_LEVEL?.toLowerCase()] ?? levels.info;
+const textFormat = process.env.LOG_FORMAT === "text";
+
+function textLine({ time, level, msg, ...fields }) {
+  const extra = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...extra].join(" ");
+}
+
+// `fields` is flat context such as { guildId, track, url }; an `err` field is reduced to its message
+function write(level, msg, fields = {}) {
+  if (levels[level] < minLevel) return;
+  const { err, ...context } = fields;
+  const record = { time: new Date().toISOString(), level, msg, ...context };
+  for (const key of Object.keys(record)) if (record[key] === undefined) delete record[key];
+  if (err) {
+    record.error = err.message ?? String(err);
+    if (level === "error" && err.stack) record.stack = err.stack;
+  }
+  const stream = levels[level] >= levels.warn ? process.stderr : process.stdout;
+  stream.write(`${textFormat ? textLine(record) : JSON.stringify(record)}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// The fields every track-related line carries
+export function trackFields(song) {
+  return song ? { track: song.title, url: song.url } : {};
+}
@@ -0,0 +1,62 @@
+// metrics.js — a small Prometheus registry: counters, gauges and histograms in the text exposition format
+const registry = [];
+
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function register(name, help, type, samples) {
+  registry.push({ name, help, type, samples });
+}
+
+export function counter(name, help) {
+  const values = new Map(); // label string → value
+  register(name, help, "counter", () => [...values].map(([labels, value]) => `${name}${labels} ${value}`));
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelString(labels);
+      values.set(key, (values.get(key) ?? 0) + amount);
+    },
+  };
+}
+
+// `collect` runs at scrape time and returns a number or a list of { labels, value }
+export function gauge(name, help, collect) {
+  register(name, help, "gauge", () => {
+    const result = collect();
+    const samples = typeof result === "number" ? [{ labels: {}, value: result }] : result;
+    return samples.map(({ labels, value }) => `${name}${labelString(labels)} ${value}`);
+  });
+}
+
+export function histogram(name, help, buckets) {
+  const series = new Map(); // label string → { labels, counts, sum, count }
+  register(name, help, "histogram", () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${labelString({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${labelString({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${labelString(labels)} ${sum}`,
+      `${name}_count${labelString(labels)} ${count}`,
+    ])
+  );
+  return {
+    observe(value, labels = {}) {
+      const key = labelString(labels);
+      let entry = series.get(key);
+      if (!entry) series.set(key, (entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+export function renderMetrics() {
+  return registry
+    .map(({ name, help, type, samples }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples()].join("\n"))
+    .join("\n")
+    .concat("\n");
+}
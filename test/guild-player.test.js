@@ -0,0 +1,294 @@
+// test/guild-player.test.js — GuildPlayer against a fake resolver, loader and audio player
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter, once } from "events";
+import { AudioPlayerStatus } from "@discordjs/voice";
+import { GuildPlayer, PlayerState } from "../guild-player.js";
+
+// Behaves like AudioPlayer where it matters: a forced stop goes Idle at once,
+// an unforced one only after the silence padding drains, and never while paused
+function fakeAudioPlayer() {
+  const player = new EventEmitter();
+  player.state = { status: AudioPlayerStatus.Idle };
+  const setStatus = (status, resource = player.state.resource) => {
+    const oldState = player.state;
+    player.state = { status, resource };
+    player.emit("stateChange", oldState, player.state);
+  };
+  player.play = (resource) => setStatus(AudioPlayerStatus.Playing, resource);
+  player.pause = () => {
+    setStatus(AudioPlayerStatus.Paused);
+    return true;
+  };
+  player.unpause = () => {
+    setStatus(AudioPlayerStatus.Playing);
+    return true;
+  };
+  player.stop = (force = false) => {
+    if (player.state.status === AudioPlayerStatus.Idle) return false;
+    if (force) setStatus(AudioPlayerStatus.Idle, undefined);
+    else if (player.state.status === AudioPlayerStatus.Playing) {
+      setTimeout(() => player.state.status === AudioPlayerStatus.Playing && setStatus(AudioPlayerStatus.Idle, undefined), 20);
+    }
+    return true;
+  };
+  player.finish = () => setStatus(AudioPlayerStatus.Idle, undefined); // the track played to the end
+  return player;
+}
+
+// Resolves or rejects when the test says so, and rejects as soon as `signal` aborts
+function pending(signal) {
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    signal.addEventListener("abort", () => reject(new Error("aborted")), { once: true });
+  });
+  return { promise, ...settle };
+}
+
+// Entries marked `slowResolve` or `slowLoad` wait in `held` until aborted; `blocked` ones fail for good,
+// `flaky` ones fail every time but are worth a retry
+function setup({ loop = "off", retryDelayMs = 0 } = {}) {
+  const calls = { resolve: [], load: [], disposed: [] };
+  const held = { resolve: new Map(), load: new Map() };
+  const deps = {
+    createPlayer: fakeAudioPlayer,
+    async resolve(entry, signal) {
+      calls.resolve.push(entry.title);
+      if (!entry.slowResolve) return entry;
+      const wait = pending(signal);
+      held.resolve.set(entry.title, wait);
+      return wait.promise;
+    },
+    async load(song, signal) {
+      calls.load.push(song.title);
+      if (song.blocked) throw Object.assign(new Error("blocked"), { permanent: true });
+      if (song.flaky) throw new Error("flaky");
+      if (!song.slowLoad) return { title: song.title };
+      const wait = pending(signal);
+      held.load.set(song.title, wait);
+      return wait.promise;
+    },
+    async open(track) {
+      return { track };
+    },
+    dispose(track) {
+      if (track) calls.disposed.push(track.title);
+    },
+    retryDelayMs,
+  };
+  const guildPlayer = new GuildPlayer("guild", deps, { loop });
+  guildPlayer.ensurePlayer();
+  const events = [];
+  for (const name of ["trackStart", "trackEnd", "loadFailed", "queueEnd"]) {
+    guildPlayer.on(name, (song) => events.push(`${name}:${song?.title ?? ""}`));
+  }
+  return { guildPlayer, calls, held, events };
+}
+
+const entries = (...titles) => titles.map((title) => ({ title }));
+const nextStart = (guildPlayer) => once(guildPlayer, "trackStart").then(([song, info]) => ({ song, ...info }));
+const nextState = (guildPlayer, state) =>
+  new Promise((resolve) => {
+    const onState = (current) => {
+      if (current !== state) return;
+      guildPlayer.off("state", onState);
+      resolve();
+    };
+    guildPlayer.on("state", onState);
+  });
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("two play() calls in a row start only one load", async () => {
+  const { guildPlayer, calls } = setup();
+  guildPlayer.queue.push(...entries("A", "B"));
+  const started = nextStart(guildPlayer);
+  assert.equal(guildPlayer.play(), true);
+  assert.equal(guildPlayer.play(), false);
+  assert.equal((await started).song.title, "A");
+  await settle();
+  assert.deepEqual(calls.load, ["A"]);
+  assert.equal(guildPlayer.state, PlayerState.Playing);
+});
+
+test("skip() during resolve moves on without loading the skipped entry", async () => {
+  const { guildPlayer, calls } = setup();
+  guildPlayer.queue.push({ title: "A", slowResolve: true }, { title: "B" });
+  guildPlayer.play();
+  await settle();
+  assert.equal(guildPlayer.state, PlayerState.Resolving);
+
+  const started = nextStart(guildPlayer);
+  assert.equal(guildPlayer.skip(), true);
+  assert.equal((await started).song.title, "B");
+  assert.deepEqual(calls.load, ["B"]);
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["B"]);
+});
+
+test("skip() during load aborts it and plays the next entry", async () => {
+  const { guildPlayer, calls, held, events } = setup();
+  guildPlayer.queue.push({ title: "A", slowLoad: true }, { title: "B" });
+  guildPlayer.play();
+  await settle();
+  assert.equal(guildPlayer.state, PlayerState.Loading);
+
+  const started = nextStart(guildPlayer);
+  guildPlayer.skip();
+  assert.equal((await started).song.title, "B");
+  assert.ok(held.load.has("A"));
+  assert.deepEqual(calls.load, ["A", "B"]);
+  assert.ok(!events.includes("loadFailed:A"), "a cancelled load is not a failure");
+});
+
+test("stop() during load ends up idle without emitting queueEnd", async () => {
+  const { guildPlayer, events } = setup();
+  guildPlayer.queue.push({ title: "A", slowLoad: true }, { title: "B" });
+  guildPlayer.play();
+  await settle();
+
+  const idle = nextState(guildPlayer, PlayerState.Idle);
+  assert.equal(guildPlayer.stop(), true);
+  await idle;
+  await settle();
+  assert.equal(guildPlayer.state, PlayerState.Idle);
+  assert.deepEqual(guildPlayer.queue, []);
+  assert.equal(guildPlayer.nowPlaying, null);
+  assert.ok(!events.includes("queueEnd:"));
+  assert.ok(!events.some((event) => event.startsWith("trackStart")));
+});
+
+test("an entry queued right after stop() during load still plays", async () => {
+  const { guildPlayer, events } = setup();
+  guildPlayer.queue.push({ title: "A", slowLoad: true }, { title: "B" });
+  guildPlayer.play();
+  await settle();
+
+  // What /stop then /play does before the aborted load has come back
+  const started = nextStart(guildPlayer);
+  guildPlayer.stop();
+  guildPlayer.queue.push({ title: "C" });
+  assert.equal(guildPlayer.play(), false, "still winding down the stopped load");
+  assert.equal((await started).song.title, "C");
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["C"]);
+
+  const ended = once(guildPlayer, "queueEnd");
+  guildPlayer.player.finish();
+  await ended;
+  assert.deepEqual(events, ["trackStart:C", "trackEnd:C", "queueEnd:"]);
+});
+
+test("stop() during the wait between load retries doesn't sit out the delay", { timeout: 1000 }, async () => {
+  const { guildPlayer, calls } = setup({ retryDelayMs: 60_000 });
+  guildPlayer.queue.push({ title: "A", flaky: true });
+  const retrying = once(guildPlayer, "loadRetry");
+  guildPlayer.play();
+  await retrying;
+
+  const idle = nextState(guildPlayer, PlayerState.Idle);
+  guildPlayer.stop();
+  await idle;
+  assert.deepEqual(calls.load, ["A"]);
+});
+
+test("loop off: a finished track is dropped and the queue ends after the last one", async () => {
+  const { guildPlayer, events } = setup();
+  guildPlayer.queue.push(...entries("A", "B"));
+  let started = nextStart(guildPlayer);
+  guildPlayer.play();
+  await started;
+
+  started = nextStart(guildPlayer);
+  guildPlayer.player.finish();
+  assert.equal((await started).song.title, "B");
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["B"]);
+
+  const ended = once(guildPlayer, "queueEnd");
+  guildPlayer.player.finish();
+  await ended;
+  assert.equal(guildPlayer.state, PlayerState.Idle);
+  assert.deepEqual(guildPlayer.queue, []);
+  assert.deepEqual(events, ["trackStart:A", "trackEnd:A", "trackStart:B", "trackEnd:B", "queueEnd:"]);
+});
+
+test("loop single: a finished track repeats, an explicit skip moves on", async () => {
+  const { guildPlayer } = setup({ loop: "single" });
+  guildPlayer.queue.push(...entries("A", "B"));
+  let started = nextStart(guildPlayer);
+  guildPlayer.play();
+  assert.equal((await started).repeat, false);
+
+  started = nextStart(guildPlayer);
+  guildPlayer.player.finish();
+  const repeat = await started;
+  assert.equal(repeat.song.title, "A");
+  assert.equal(repeat.repeat, true);
+
+  started = nextStart(guildPlayer);
+  guildPlayer.skip();
+  assert.equal((await started).song.title, "B");
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["B"]);
+});
+
+test("loop queue: a finished track goes to the back of the queue", async () => {
+  const { guildPlayer } = setup({ loop: "queue" });
+  guildPlayer.queue.push(...entries("A", "B", "C"));
+  let started = nextStart(guildPlayer);
+  guildPlayer.play();
+  await started;
+
+  started = nextStart(guildPlayer);
+  guildPlayer.player.finish();
+  assert.equal((await started).song.title, "B");
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["B", "C", "A"]);
+});
+
+test("jump() plays the new queue[0] without advancing past it", async () => {
+  const { guildPlayer, events } = setup();
+  assert.equal(guildPlayer.jump(), false, "nothing to jump from while idle");
+
+  guildPlayer.queue.push(...entries("A", "B", "C"));
+  let started = nextStart(guildPlayer);
+  guildPlayer.play();
+  await started;
+
+  // What /skipto 2 does
+  guildPlayer.queue.splice(0, 2);
+  started = nextStart(guildPlayer);
+  const ended = once(guildPlayer, "trackEnd");
+  assert.equal(guildPlayer.jump(), true);
+  const [endedSong, endInfo] = await ended;
+  assert.equal(endedSong.title, "A");
+  assert.equal(endInfo.skipped, true);
+  assert.equal((await started).song.title, "C");
+  assert.deepEqual(guildPlayer.queue.map((entry) => entry.title), ["C"]);
+  assert.equal(guildPlayer.jumped, false);
+  assert.ok(!events.includes("trackStart:B"));
+});
+
+test("skip() while paused ends the track right away", async () => {
+  const { guildPlayer } = setup();
+  guildPlayer.queue.push(...entries("A", "B"));
+  let started = nextStart(guildPlayer);
+  guildPlayer.play();
+  await started;
+  assert.equal(guildPlayer.pause(), true);
+  assert.equal(guildPlayer.state, PlayerState.Paused);
+
+  started = nextStart(guildPlayer);
+  guildPlayer.skip();
+  assert.equal(guildPlayer.player.state.status, AudioPlayerStatus.Idle);
+  assert.equal((await started).song.title, "B");
+});
+
+test("a permanent load error fails fast and the next entry plays", async () => {
+  const { guildPlayer, calls } = setup();
+  guildPlayer.queue.push({ title: "A", blocked: true }, { title: "B" });
+  const failed = once(guildPlayer, "loadFailed");
+  const started = nextStart(guildPlayer);
+  guildPlayer.play();
+  const [song, reason] = await failed;
+  assert.equal(song.title, "A");
+  assert.equal(reason, "blocked");
+  assert.equal((await started).song.title, "B");
+  assert.deepEqual(calls.load, ["A", "B"], "not retried");
+});